@@ -7,16 +7,26 @@ class Board {
    * 创建游戏面板
    * @param {HTMLCanvasElement} canvas 游戏画布
    * @param {HTMLCanvasElement} nextCanvas 下一个方块画布
+   * @param {HTMLCanvasElement} holdCanvas 暂存方块画布（可选）
    */
-  constructor(canvas, nextCanvas) {
+  constructor(canvas, nextCanvas, holdCanvas) {
     // 保存画布引用
     this.canvas = canvas;
     this.currentMode = "";
     this.nextCanvas = nextCanvas;
+    this.holdCanvas = holdCanvas;
 
     // 获取画布上下文
     this.ctx = canvas.getContext("2d");
     this.nextCtx = nextCanvas ? nextCanvas.getContext("2d") : null;
+    this.holdCtx = holdCanvas ? holdCanvas.getContext("2d") : null;
+
+    // 后续方块横排显示在游戏画布上方（第一个方块仍显示在下一个方块画布中）
+    this.queueCanvas = document.getElementById("nextQueueCanvas");
+    this.queueCtx = this.queueCanvas ? this.queueCanvas.getContext("2d") : null;
+
+    // 预览数量（0~MAX_NEXT_PREVIEWS），与桌面版共用设置
+    this.previewCount = this.loadPreviewCount();
 
     // 初始化历史最高分
     this.highScore = this.loadHighScore();
@@ -184,6 +194,13 @@ class Board {
     // 配置下一个方块画布
     this.nextCanvas.width = previewSize;
     this.nextCanvas.height = previewSize;
+    this.resizeQueueCanvas();
+
+    // 配置暂存方块画布（如果存在）
+    if (this.holdCanvas) {
+      this.holdCanvas.width = previewSize;
+      this.holdCanvas.height = previewSize;
+    }
 
     // 更新上下文设置
     this.ctx.lineWidth = 1;
@@ -269,9 +286,17 @@ class Board {
     // 重置方块池
     this.piecePool = [];
 
-    // 初始化方块
+    // 初始化方块和下一个方块队列
     this.currentPiece = null;
-    this.nextPiece = new Tetromino(getRandomPiece(this.grid));
+    this.nextQueue = [];
+    this.fillNextQueue();
+
+    // 初始化暂存
+    const modeConfig = GAME_CONFIG.GAME_MODES[GAME_CONFIG.CURRENT_MODE];
+    this.holdRule = (modeConfig && modeConfig.hold) || "standard";
+    this.heldPiece = null;
+    this.canHold = this.holdRule !== "off";
+    this.updateHoldPanel();
 
     // 游戏状态
     this.isGameOver = false;
@@ -306,6 +331,68 @@ class Board {
     this.draw();
   }
 
+  /**
+   * 下一个方块（队列中的第一个）
+   * @returns {Tetromino|null}
+   */
+  get nextPiece() {
+    return this.nextQueue[0] || null;
+  }
+
+  /**
+   * 补充下一个方块队列，使队列保持最大预览数量
+   */
+  fillNextQueue() {
+    while (this.nextQueue.length < GAME_CONFIG.MAX_NEXT_PREVIEWS) {
+      this.nextQueue.push(new Tetromino(getRandomPiece(this.grid)));
+    }
+  }
+
+  /**
+   * 从本地存储读取预览数量
+   * @returns {number} 预览数量（0~MAX_NEXT_PREVIEWS）
+   */
+  loadPreviewCount() {
+    const saved = parseInt(localStorage.getItem("tetris_preview_count"), 10);
+    if (Number.isNaN(saved)) {
+      return GAME_CONFIG.DEFAULT_NEXT_PREVIEWS;
+    }
+    return Math.max(0, Math.min(GAME_CONFIG.MAX_NEXT_PREVIEWS, saved));
+  }
+
+  /**
+   * 计算后续方块横排的布局：每个方块占一格区域，缩小显示
+   * @returns {{slots: Array<Object>, width: number, height: number}} 每个方块的绘制区域和画布尺寸
+   */
+  getQueueRowLayout() {
+    const size = getPreviewCellSize();
+    const slotWidth = 4.5 * size;
+    const slots = [];
+    for (let i = 1; i < this.previewCount; i++) {
+      slots.push({
+        x: (i - 1) * slotWidth,
+        y: 0,
+        width: slotWidth,
+        height: 3 * size,
+        size,
+      });
+    }
+
+    return { slots, width: slots.length * slotWidth, height: 3 * size };
+  }
+
+  /**
+   * 根据预览数量调整后续方块横排的尺寸，没有后续方块时隐藏
+   */
+  resizeQueueCanvas() {
+    if (!this.queueCanvas) return;
+
+    const { slots, width, height } = this.getQueueRowLayout();
+    this.queueCanvas.width = Math.ceil(width);
+    this.queueCanvas.height = Math.ceil(height);
+    this.queueCanvas.style.display = slots.length > 0 ? "" : "none";
+  }
+
   /**
    * 生成新的方块
    */
@@ -316,28 +403,92 @@ class Board {
       return;
     }
 
-    // 如果没有下一个方块，创建一个
-    if (!this.nextPiece) {
-      this.nextPiece = new Tetromino(getRandomPiece(this.grid));
-    }
+    // 从队列中取出下一个方块作为当前方块，并补充队列
+    this.fillNextQueue();
+    const placed = this.placeAtSpawn(this.nextQueue.shift());
+    this.fillNextQueue();
 
-    // 将下一个方块设置为当前方块
-    this.currentPiece = this.nextPiece;
+    // 检查游戏是否结束（当新方块无法放置或无法下落时）
+    if (!placed) {
+      console.log("游戏结束：无法放置新方块或方块无法下落");
+      window.game.gameOver();
+      return;
+    }
 
-    // 计算初始位置（从游戏区域上方开始）
-    const shape = this.currentPiece.shape;
-    const x = Math.floor((GAME_CONFIG.COLS - shape[0].length) / 2);
-    const y = -shape.length + 1; // 确保新方块部分可见
+    // 允许暂存（禁用暂存的模式除外）
+    this.canHold = this.holdRule !== "off";
+  }
 
-    this.currentPiece.x = x;
-    this.currentPiece.y = y;
+  /**
+   * 将方块放到出生位置作为当前方块（新方块和暂存交换出的方块共用）
+   * @param {Tetromino} piece 要放置的方块
+   * @returns {boolean} 是否放置成功（失败表示游戏结束）
+   */
+  placeAtSpawn(piece) {
+    this.currentPiece = piece;
 
-    // 创建下一个方块
-    this.nextPiece = new Tetromino(getRandomPiece(this.grid));
+    // 计算初始位置（从游戏区域上方开始）
+    const shape = piece.shape;
+    piece.x = Math.floor((GAME_CONFIG.COLS - shape[0].length) / 2);
+    piece.y = -shape.length + 1; // 确保新方块部分可见
 
     // 新方块生成，清除投影缓存并标记重绘
     this._ghostPieceCache = null;
     this.markForRedraw("new piece spawned");
+
+    return (
+      isValidMove(this.grid, shape, piece.x, piece.y) &&
+      isValidMove(this.grid, shape, piece.x, piece.y + 1)
+    );
+  }
+
+  /**
+   * 暂存当前方块
+   * 标准规则下每个方块只能暂存一次，换出的方块和新方块一样从出生位置开始
+   */
+  holdPiece() {
+    if (
+      !this.currentPiece ||
+      this.isGameOver ||
+      this.isPaused ||
+      this._processingLineClear
+    ) {
+      return;
+    }
+
+    // 当前模式禁用暂存或本方块已暂存过
+    if (this.holdRule === "off" || !this.canHold) return;
+
+    const heldType = this.currentPiece.type;
+    if (this.heldPiece === null) {
+      // 第一次暂存，直接生成下一个方块
+      this.heldPiece = new Tetromino(heldType);
+      this.spawnNewPiece();
+    } else {
+      // 交换当前方块和暂存方块
+      const swapped = new Tetromino(this.heldPiece.type);
+      this.heldPiece = new Tetromino(heldType);
+      if (!this.placeAtSpawn(swapped)) {
+        console.log("游戏结束：换出的方块无法放置或无法下落");
+        window.game.gameOver();
+        return;
+      }
+    }
+
+    this.canHold = this.holdRule === "unlimited";
+  }
+
+  /**
+   * 当前模式禁用暂存时隐藏暂存区域
+   */
+  updateHoldPanel() {
+    if (!this.holdCanvas) return;
+
+    const panel =
+      this.holdCanvas.closest(".score-item") || this.holdCanvas.parentElement;
+    if (panel) {
+      panel.style.display = this.holdRule === "off" ? "none" : "";
+    }
   }
 
   /**
@@ -430,19 +581,22 @@ class Board {
 
   /**
    * 旋转当前方块
+   * @param {number} [direction=1] 旋转方向：1 顺时针，-1 逆时针，2 旋转180度
    * @returns {Promise<boolean>} 旋转是否成功
    */
-  rotatePiece() {
+  rotatePiece(direction = 1) {
     return new Promise((resolve) => {
       if (this.isGameOver || this.isPaused || !this.currentPiece) {
         resolve(false);
         return;
       }
 
-      const newShape = this.currentPiece.rotate();
+      const piece = this.currentPiece;
+      const newShape = piece.rotate(direction);
+      const newRotation = (((piece.rotation + direction) % 4) + 4) % 4;
 
-      // 尝试墙踢
-      if (this.currentPiece.tryWallKick(this.grid, newShape)) {
+      // 尝试 SRS 墙踢
+      if (piece.tryWallKick(this.grid, newShape, newRotation) >= 0) {
         // 旋转成功时播放旋转音效
         this.playSound("rotate");
 
@@ -1645,6 +1799,22 @@ class Board {
         this.nextCanvas.width,
         this.nextCanvas.height
       );
+      if (this.holdCtx) {
+        this.holdCtx.clearRect(
+          0,
+          0,
+          this.holdCanvas.width,
+          this.holdCanvas.height
+        );
+      }
+      if (this.queueCtx) {
+        this.queueCtx.clearRect(
+          0,
+          0,
+          this.queueCanvas.width,
+          this.queueCanvas.height
+        );
+      }
 
       // 如果游戏还未开始（没有当前方块且不在处理行消除），显示模式选择界面
       if (
@@ -1765,9 +1935,24 @@ class Board {
    */
   drawPreviewAreas() {
     // 绘制下一个方块
-    if (this.nextPiece && this.nextPiece.shape) {
+    if (this.previewCount > 0 && this.nextPiece && this.nextPiece.shape) {
       this.nextPiece.drawPreview(this.nextCtx);
     }
+
+    // 横排绘制后续方块
+    if (this.queueCtx) {
+      this.getQueueRowLayout().slots.forEach((slot, i) => {
+        const piece = this.nextQueue[i + 1];
+        if (piece && piece.shape) {
+          piece.drawPreview(this.queueCtx, slot);
+        }
+      });
+    }
+
+    // 绘制暂存方块
+    if (this.holdCtx && this.heldPiece && this.heldPiece.shape) {
+      this.heldPiece.drawPreview(this.holdCtx);
+    }
   }
 
   /**
@@ -3331,7 +3516,8 @@ class Board {
       grid: this.grid.map((row) => [...row]), // 深拷贝网格
       isGameOver: this.isGameOver,
       isPaused: this.isPaused,
-      nextPiece: this.nextPiece ? this.nextPiece.type : null,
+      nextQueue: this.nextQueue.map((piece) => piece.type).join(""),
+      heldPiece: this.heldPiece ? this.heldPiece.type : null,
     };
 
     // 如果是第一次检查或者状态发生变化
@@ -9,12 +9,13 @@ class Game {
     // 获取游戏画布
     this.gameCanvas = document.getElementById("gameCanvas");
     this.nextCanvas = document.getElementById("nextCanvas");
+    this.holdCanvas = document.getElementById("holdCanvas");
 
     // 禁用双击缩放
     this.disableDoubleTapZoom();
 
     // 创建游戏面板
-    this.board = new Board(this.gameCanvas, this.nextCanvas);
+    this.board = new Board(this.gameCanvas, this.nextCanvas, this.holdCanvas);
 
     // 初始化显示历史最高分
     this.board.updateHighScoreDisplay();
@@ -63,7 +64,8 @@ class Game {
     this.touchStartTime = 0;
     this.lastMoveTime = 0;
     this.isSwiping = false;
-    this.lastMoveDirection = null; // 记录最后一次移动的方向：'horizontal' 或 'vertical'
+    this.isMultiTouch = false; // 是否为双指触摸
+    this.lastMoveDirection = null; // 记录最后一次移动的方向：'horizontal'、'vertical' 或 'up'
 
     // 添加动画相关状态
     this.lastRenderTime = 0;
@@ -357,6 +359,36 @@ class Game {
       }
     });
 
+    // 逆时针和180度旋转按钮（可选）
+    const rotateCcwBtn = document.getElementById("rotateCcwBtn");
+    const rotate180Btn = document.getElementById("rotate180Btn");
+
+    if (rotateCcwBtn) {
+      this.addMobileButtonEvent(rotateCcwBtn, () => {
+        if (this.board && !this.board.isGameOver && !this.board.isPaused) {
+          this.board.rotatePiece(-1);
+        }
+      });
+    }
+
+    if (rotate180Btn) {
+      this.addMobileButtonEvent(rotate180Btn, () => {
+        if (this.board && !this.board.isGameOver && !this.board.isPaused) {
+          this.board.rotatePiece(2);
+        }
+      });
+    }
+
+    // 暂存按钮（可选）
+    const holdBtn = document.getElementById("holdBtn");
+    if (holdBtn) {
+      this.addMobileButtonEvent(holdBtn, () => {
+        if (this.board && !this.board.isGameOver && !this.board.isPaused) {
+          this.board.holdPiece();
+        }
+      });
+    }
+
     console.log("移动设备控制按钮初始化完成");
   }
 
@@ -393,16 +425,21 @@ class Game {
         if (!this.isRunning || this.board.isGameOver || this.board.isPaused)
           return;
 
+        // 第二根手指按下时记录为双指点击，不重置滑动起点
+        if (e.touches.length > 1) {
+          this.isMultiTouch = true;
+
+          // 防止触摸事件导致页面缩放
+          e.preventDefault();
+          return;
+        }
+
         const touch = e.touches[0];
         this.touchStartX = touch.clientX;
         this.touchStartY = touch.clientY;
         this.touchStartTime = Date.now();
         this.isSwiping = true;
-
-        // 防止触摸事件导致页面缩放
-        if (e.touches.length > 1) {
-          e.preventDefault();
-        }
+        this.isMultiTouch = false;
       },
       { passive: false }
     );
@@ -458,6 +495,19 @@ class Game {
           this.lastMoveDirection = "horizontal";
         }
 
+        // 向上滑动（旋转180度，每次滑动只触发一次）
+        if (
+          deltaY < -threshold * 2 &&
+          Math.abs(deltaY) > Math.abs(deltaX) &&
+          this.lastMoveDirection !== "up"
+        ) {
+          this.board
+            .rotatePiece(2)
+            .catch((error) => console.error("旋转方块出错:", error));
+          this.lastMoveDirection = "up";
+          return;
+        }
+
         // 垂直滑动（下移）
         if (deltaY > threshold) {
           this.board.movePiece(0, 1).catch((error) => {
@@ -479,6 +529,22 @@ class Game {
 
         const touchEndTime = Date.now();
         const touchDuration = touchEndTime - this.touchStartTime;
+
+        // 双指点击：等所有手指抬起后逆时针旋转
+        if (this.isMultiTouch) {
+          if (e.touches.length > 0) return;
+
+          if (touchDuration < 300) {
+            this.board
+              .rotatePiece(-1)
+              .catch((error) => console.error("旋转方块出错:", error));
+          }
+
+          this.isSwiping = false;
+          this.isMultiTouch = false;
+          this.lastMoveDirection = null;
+          return;
+        }
         const touch = e.changedTouches[0];
         const deltaX = touch.clientX - this.touchStartX;
         const deltaY = touch.clientY - this.touchStartY;
@@ -920,8 +986,18 @@ class Game {
         case "ArrowUp":
         case "w":
         case "W":
+        case "x":
+        case "X":
           this.board.rotatePiece();
           break;
+        case "z":
+        case "Z":
+          this.board.rotatePiece(-1);
+          break;
+        case "q":
+        case "Q":
+          this.board.rotatePiece(2);
+          break;
         case " ": // 空格键
           this.board.hardDrop();
           break;
@@ -1200,11 +1276,10 @@ window.addEventListener("load", () => {
   window.game = new Game();
 
   if (isMobile) {
-    // 移动端不需要 holdCanvas
-    window.game.holdCanvas = null;
     window.game.board = new Board(
       window.game.gameCanvas,
-      window.game.nextCanvas
+      window.game.nextCanvas,
+      window.game.holdCanvas
     );
 
     // 确保移动端控制区域可见
@@ -36,13 +36,17 @@ class I18n {
 
         // 游戏元素
         nextBlock: "Next Block",
+        holdBlock: "Hold",
 
         // 控制说明
         controls: "Controls",
         moveLeft: "Move Left/Right",
         rotate: "Rotate",
+        rotateCCW: "Rotate Counter-clockwise",
+        rotate180: "Rotate 180°",
         moveDown: "Move Down",
         hardDrop: "Hard Drop",
+        holdPiece: "Hold Piece",
         pauseGame: "Pause Game",
 
         // 按钮
@@ -111,13 +115,17 @@ class I18n {
 
         // 游戏元素
         nextBlock: "下一个方块",
+        holdBlock: "暂存方块",
 
         // 控制说明
         controls: "操作说明",
         moveLeft: "左/右移动",
         rotate: "旋转",
+        rotateCCW: "逆时针旋转",
+        rotate180: "旋转180°",
         moveDown: "下移",
         hardDrop: "快速下落",
+        holdPiece: "暂存方块",
         pauseGame: "暂停游戏",
 
         // 按钮
@@ -7,6 +7,8 @@ const GAME_CONFIG = {
   COLS: 10, // 游戏面板列数
   ROWS: 20, // 游戏面板行数
   PREVIEW_SIZE: 4, // 预览区域大小
+  MAX_NEXT_PREVIEWS: 6, // 最多显示的下一个方块数量
+  DEFAULT_NEXT_PREVIEWS: 3, // 默认显示的下一个方块数量
   // 游戏模式配置
   GAME_MODES: {
     STANDARD: {
@@ -14,12 +16,14 @@ const GAME_CONFIG = {
       base_speed: 1000,
       min_speed: 300,
       speed_factor: 0.1,
+      hold: "standard", // 暂存规则：off 禁用，standard 每个方块一次，unlimited 不限次数
     },
     CRAZY: {
       name: "疯狂模式",
       base_speed: 350, // 疯狂模式下降速度更快
       min_speed: 70, // 最低速度也更快
       speed_factor: 0.15, // 速度增长更快
+      hold: "standard",
     },
     TIMED: {
       name: "限时模式",
@@ -27,6 +31,7 @@ const GAME_CONFIG = {
       min_speed: 300, // 最低速度适中
       speed_factor: 0.12, // 速度增长适中
       duration: 180, // 游戏时长（秒）：3分钟
+      hold: "standard",
     },
   },
   CURRENT_MODE: "STANDARD", // 默认为标准模式
@@ -85,6 +90,43 @@ const GAME_CONFIG = {
       [0, 0, 0],
     ],
   },
+  // SRS（超级旋转系统）墙踢数据
+  // 键为 "起始状态-目标状态"，状态 0/1/2/3 分别对应 0/R/2/L
+  // 偏移量 [x, y] 采用 SRS 标准表的写法（y 轴向上），使用时需要翻转 y
+  WALL_KICKS: {
+    // J、L、S、T、Z 方块
+    JLSTZ: {
+      "0-1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+      "1-0": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+      "1-2": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+      "2-1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+      "2-3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+      "3-2": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+      "3-0": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+      "0-3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+      // 180 度旋转（参考 SRS+ 的墙踢数据）
+      "0-2": [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+      "2-0": [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+      "1-3": [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+      "3-1": [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]],
+    },
+    // I 方块
+    I: {
+      "0-1": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+      "1-0": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+      "1-2": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+      "2-1": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+      "2-3": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+      "3-2": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+      "3-0": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+      "0-3": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+      // 180 度旋转
+      "0-2": [[0, 0], [0, 1]],
+      "2-0": [[0, 0], [0, -1]],
+      "1-3": [[0, 0], [1, 0]],
+      "3-1": [[0, 0], [-1, 0]],
+    },
+  },
 };
 
 // 保存最近生成的方块历史
@@ -151,8 +193,9 @@ function getCellSize() {
     let width2 = document.querySelector(".audio-controls")?.offsetWidth || 0;
 
     let height2 = document.querySelector(".game-controls")?.offsetHeight || 0;
+    let height3 = document.getElementById("nextQueueCanvas")?.offsetHeight || 0;
 
-    let clientHeight = height - height2 - 20;
+    let clientHeight = height - height2 - height3 - 20;
     let clientWidth = width - width1 - width2 - 20;
 
     let cellSize = Math.min(
@@ -1,6 +1,99 @@
+// 本地存储中保存竞速成绩的键名
+const SPRINT_RECORDS_KEY = "tetris_sprint_records";
+
+// 本地存储中保存挖掘模式成绩的键名
+const DIG_RECORDS_KEY = "tetris_dig_records";
+
+// 本地存储中保存生存模式成绩的键名
+const SURVIVAL_RECORDS_KEY = "tetris_survival_records";
+
+// 本地存储中保存禅模式进度的键名
+const ZEN_SESSION_KEY = "tetris_zen_session";
+
+// 本地存储中保存已完成谜题的键名
+const PUZZLE_PROGRESS_KEY = "tetris_puzzle_progress";
+
+// 模式选择界面中的模式按钮（按显示顺序）
+const MODE_MENU = [
+  {
+    mode: "STANDARD",
+    label: "standardMode",
+    explanation: "standardModeExplanation",
+    colors: ["#2196F3", "#1976D2"],
+  },
+  {
+    mode: "CRAZY",
+    label: "crazyMode",
+    explanation: "crazyModeExplanation",
+    colors: ["#e74c3c", "#c0392b"],
+  },
+  {
+    mode: "NES",
+    label: "nesMode",
+    explanation: "nesModeExplanation",
+    colors: ["#7f8c8d", "#616a6b"],
+  },
+  {
+    mode: "TIMED",
+    label: "timedMode",
+    explanation: "timedModeExplanation",
+    colors: ["#9b59b6", "#8e44ad"],
+  },
+  {
+    mode: "SPRINT",
+    label: "sprintMode",
+    explanation: "sprintModeExplanation",
+    colors: ["#27ae60", "#1e8449"],
+  },
+  {
+    mode: "MARATHON",
+    label: "marathonMode",
+    explanation: "marathonModeExplanation",
+    colors: ["#f39c12", "#d68910"],
+  },
+  {
+    mode: "DIG",
+    label: "digMode",
+    explanation: "digModeExplanation",
+    colors: ["#8d6e63", "#6d4c41"],
+  },
+  {
+    mode: "SURVIVAL",
+    label: "survivalMode",
+    explanation: "survivalModeExplanation",
+    colors: ["#16a085", "#117a65"],
+  },
+  {
+    mode: "ZEN",
+    label: "zenMode",
+    explanation: "zenModeExplanation",
+    colors: ["#5dade2", "#3498db"],
+  },
+  {
+    mode: "PUZZLE",
+    label: "puzzleMode",
+    explanation: "puzzleModeExplanation",
+    colors: ["#e67e22", "#ca6f1e"],
+  },
+  {
+    mode: "MASTER",
+    label: "masterMode",
+    explanation: "masterModeExplanation",
+    colors: ["#34495e", "#2c3e50"],
+  },
+];
+
+// 各种 Top out 对应的游戏结束标题
+const TOP_OUT_TITLES = {
+  blockOut: "Block Out",
+  lockOut: "Lock Out",
+  garbage: "Top Out",
+  outOfPieces: "Failed", // 谜题的方块用完仍未达成目标
+};
+
 /**
  * 游戏面板类
- * 负责管理游戏状态和逻辑
+ * 负责渲染、音效和动画，游戏规则由 TetrisEngine 负责
  */
 class Board {
   /**
@@ -23,12 +116,26 @@ class Board {
     // 初始化历史最高分
     this.highScore = this.loadHighScore();
 
+    // 下一个方块队列的预览数量
+    this.previewCount = this.loadPreviewCount();
+
+    // 已固定方块的可见性（渐隐和隐形挑战）
+    this.visibility = this.loadVisibility();
+    this.revealUntil = 0; // 在此时间之前完整显示堆叠（消行闪现）
+
+    // Big 模式（方块放大一倍，下一局开始时生效）
+    this.bigMode = this.loadBigMode();
+
     // 防止画布上的缩放行为
     this.preventCanvasZoom();
 
     // 初始化行消除处理标记
     this._processingLineClear = false;
 
+    // 创建规则引擎
+    // 格子的固定时间按游戏用时记录，暂停时渐隐也随之暂停
+    this.engine = new TetrisEngine({ clock: () => this.getGameTime() });
+
     // 初始化游戏状态 - 先初始化游戏状态
     this.reset();
 
@@ -65,6 +172,95 @@ class Board {
     console.log("游戏面板初始化完成");
   }
 
+  // 游戏状态由规则引擎持有，以下属性直接代理到引擎
+  get grid() {
+    return this.engine.grid;
+  }
+
+  set grid(value) {
+    this.engine.grid = value;
+  }
+
+  get currentPiece() {
+    return this.engine.currentPiece;
+  }
+
+  set currentPiece(value) {
+    this.engine.currentPiece = value;
+  }
+
+  get nextPiece() {
+    return this.engine.nextPiece;
+  }
+
+  get nextQueue() {
+    return this.engine.nextQueue;
+  }
+
+  get heldPiece() {
+    return this.engine.heldPiece;
+  }
+
+  get cols() {
+    return this.engine.cols;
+  }
+
+  get rows() {
+    return this.engine.rows;
+  }
+
+  get bufferRows() {
+    return this.engine.bufferRows;
+  }
+
+  get canHold() {
+    return this.engine.canHold;
+  }
+
+  get score() {
+    return this.engine.score;
+  }
+
+  get lines() {
+    return this.engine.lines;
+  }
+
+  get level() {
+    return this.engine.level;
+  }
+
+  get combo() {
+    return this.engine.combo;
+  }
+
+  get backToBack() {
+    return this.engine.backToBack;
+  }
+
+  get perfectClears() {
+    return this.engine.perfectClears;
+  }
+
+  get interval() {
+    return this.engine.interval;
+  }
+
+  get speed() {
+    return this.engine.speed;
+  }
+
+  get gravity() {
+    return this.engine.gravity;
+  }
+
+  get isGameOver() {
+    return this.engine.isGameOver;
+  }
+
+  set isGameOver(value) {
+    this.engine.isGameOver = value;
+  }
+
   /**
    * 防止画布上的缩放行为
    */
@@ -119,16 +315,23 @@ class Board {
    * 更新画布大小
    */
   updateCanvasSize() {
-    // 获取格子大小
-    const cellSize = getCellSize();
+    // 获取格子大小（按当前模式的面板尺寸计算，Big 模式的每个逻辑格子占 scale × scale 格）
+    const scale = this.engine.scale;
+    const cellSize = getCellSize(this.cols * scale, this.rows * scale) * scale;
 
     // 计算游戏画布的理想尺寸
-    const idealWidth = GAME_CONFIG.COLS * cellSize;
-    const idealHeight = GAME_CONFIG.ROWS * cellSize;
+    const idealWidth = this.cols * cellSize;
+    const idealHeight = this.rows * cellSize;
 
     // 更新主游戏画布
     this.canvas.width = idealWidth;
     this.canvas.height = idealHeight;
+    this.canvasCols = this.cols;
+    this.canvasRows = this.rows;
+
+    // 画布的显示尺寸跟随面板尺寸，避免非 10x20 的面板被拉伸
+    this.canvas.style.setProperty("--canvas-width", `${idealWidth}px`);
+    this.canvas.style.setProperty("--canvas-height", `${idealHeight}px`);
 
     // 设置容器尺寸与画布一致（保持精确的像素大小）
     if (this.canvas.parentElement) {
@@ -153,9 +356,8 @@ class Board {
     const previewCellSize = getPreviewCellSize();
     const previewSize = 5 * previewCellSize; // 增加预览区域大小确保方块完全显示
 
-    // 配置下一个方块画布
-    this.nextCanvas.width = previewSize;
-    this.nextCanvas.height = previewSize;
+    // 配置下一个方块队列画布
+    this.resizeNextCanvas();
 
     // 配置暂存方块画布（如果存在）
     if (this.holdCanvas && this.holdCtx) {
@@ -173,6 +375,196 @@ class Board {
     }
   }
 
+  /**
+   * 计算下一个方块队列的布局：桌面端纵向排列，移动端横向排成一行
+   * 第一个方块按原大小显示，后面的方块缩小显示
+   * @returns {{slots: Array<Object>, width: number, height: number}} 每个方块的绘制区域和画布尺寸
+   */
+  getNextQueueLayout() {
+    const cellSize = getPreviewCellSize();
+    const isRow = window.innerWidth <= 480;
+    const slots = [];
+    let offset = 0;
+
+    for (let i = 0; i < this.previewCount; i++) {
+      const size = i === 0 ? cellSize : Math.floor(cellSize * 0.75);
+
+      if (isRow) {
+        const width = 4.5 * size;
+        slots.push({ x: offset, y: 0, width, height: 3 * cellSize, size });
+        offset += width;
+      } else {
+        const height = (i === 0 ? 4 : 3) * size;
+        slots.push({ x: 0, y: offset, width: 5 * cellSize, height, size });
+        offset += height;
+      }
+    }
+
+    return {
+      slots,
+      width: isRow ? offset : 5 * cellSize,
+      height: isRow ? 3 * cellSize : offset,
+    };
+  }
+
+  /**
+   * 根据预览数量调整下一个方块画布的尺寸，预览数量为 0 时隐藏预览面板
+   */
+  resizeNextCanvas() {
+    if (!this.nextCanvas) return;
+
+    const { width, height } = this.getNextQueueLayout();
+    this.nextCanvas.width = Math.ceil(width);
+    this.nextCanvas.height = Math.ceil(height);
+
+    const panel =
+      this.nextCanvas.closest(".preview-panel, .score-item") ||
+      this.nextCanvas.parentElement;
+    if (panel) {
+      panel.style.display = this.previewCount > 0 ? "" : "none";
+    }
+  }
+
+  /**
+   * 绘制下一个方块队列
+   */
+  drawNextQueue() {
+    if (!this.nextCtx || !this.nextQueue) return;
+
+    const { slots } = this.getNextQueueLayout();
+    slots.forEach((slot, i) => {
+      const piece = this.nextQueue[i];
+      if (piece && piece.shape) {
+        piece.drawPreview(this.nextCtx, slot);
+      }
+    });
+  }
+
+  /**
+   * 从本地存储读取预览数量
+   * @returns {number} 预览数量（0~MAX_NEXT_PREVIEWS）
+   */
+  loadPreviewCount() {
+    const saved = parseInt(localStorage.getItem("tetris_preview_count"), 10);
+    if (Number.isNaN(saved)) {
+      return GAME_CONFIG.DEFAULT_NEXT_PREVIEWS;
+    }
+    return Math.max(0, Math.min(GAME_CONFIG.MAX_NEXT_PREVIEWS, saved));
+  }
+
+  /**
+   * 设置并保存预览数量
+   * @param {number} count 预览数量（0~MAX_NEXT_PREVIEWS）
+   */
+  setPreviewCount(count) {
+    this.previewCount = Math.max(
+      0,
+      Math.min(GAME_CONFIG.MAX_NEXT_PREVIEWS, count)
+    );
+    localStorage.setItem("tetris_preview_count", this.previewCount.toString());
+
+    this.resizeNextCanvas();
+    this.draw();
+  }
+
+  /**
+   * 从本地存储读取已固定方块的可见性
+   * @returns {string} GAME_CONFIG.VISIBILITY.MODES 中的一项
+   */
+  loadVisibility() {
+    const saved = localStorage.getItem("tetris_visibility");
+    return GAME_CONFIG.VISIBILITY.MODES.includes(saved) ? saved : "normal";
+  }
+
+  /**
+   * 设置并保存已固定方块的可见性
+   * @param {string} visibility "normal"、"fading" 或 "invisible"
+   */
+  setVisibility(visibility) {
+    if (!GAME_CONFIG.VISIBILITY.MODES.includes(visibility)) return;
+
+    this.visibility = visibility;
+    localStorage.setItem("tetris_visibility", visibility);
+    this.draw();
+  }
+
+  /**
+   * 从本地存储读取是否开启 Big 模式
+   * @returns {boolean} 是否开启
+   */
+  loadBigMode() {
+    return localStorage.getItem("tetris_big_mode") === "true";
+  }
+
+  /**
+   * 设置并保存是否开启 Big 模式（下一局开始时生效）
+   * @param {boolean} enabled 是否开启
+   */
+  setBigMode(enabled) {
+    this.bigMode = Boolean(enabled);
+    localStorage.setItem("tetris_big_mode", String(this.bigMode));
+  }
+
+  /**
+   * 计算已固定格子当前的透明度
+   * 游戏结束和消行闪现时完整显示；隐形模式立即隐藏，渐隐模式在固定一段时间后逐渐消失
+   * @param {number} x 列
+   * @param {number} y 网格行（包含缓冲区）
+   * @returns {number} 透明度（0～1）
+   */
+  getCellAlpha(x, y) {
+    if (
+      this.visibility === "normal" ||
+      this.isGameOver ||
+      Date.now() < this.revealUntil
+    ) {
+      return 1;
+    }
+    if (this.visibility === "invisible") return 0;
+
+    const lockedAt = this.engine.lockTimes[y] && this.engine.lockTimes[y][x];
+    if (lockedAt === null || lockedAt === undefined) return 1;
+
+    // 固定时间按游戏用时记录，暂停和打开设置时不会继续渐隐
+    const { FADE_DELAY, FADE_DURATION } = GAME_CONFIG.VISIBILITY;
+    const fade =
+      (this.getGameTime() - lockedAt - FADE_DELAY) / FADE_DURATION;
+    return Math.max(0, Math.min(1, 1 - fade));
+  }
+
+  /**
+   * 按可见性绘制堆叠中的一个格子
+   * @param {number} x 绘制的列
+   * @param {number} y 绘制的行（动画中可以是小数）
+   * @param {string} type 格子类型
+   * @param {number} [row] 格子在当前网格中的行号，用于查询固定时间，默认等于 y
+   */
+  drawStackBlock(x, y, type, row = y) {
+    const alpha = this.getCellAlpha(x, row);
+    if (alpha <= 0) return;
+
+    this.ctx.save();
+    this.ctx.globalAlpha = alpha;
+    this.drawCell(x, y, type);
+    this.ctx.restore();
+  }
+
+  /**
+   * 绘制一个格子，Big 模式下画成 scale × scale 个普通大小的方块
+   * @param {number} x 格子的列
+   * @param {number} y 格子的行（动画中可以是小数）
+   * @param {string} type 格子类型
+   */
+  drawCell(x, y, type) {
+    const scale = this.engine.scale;
+    const size = this.actualCellSize / scale;
+    for (let dy = 0; dy < scale; dy++) {
+      for (let dx = 0; dx < scale; dx++) {
+        drawBlock(this.ctx, x * scale + dx, y * scale + dy, type, size);
+      }
+    }
+  }
+
   /**
    * 清理事件监听器
    */
@@ -215,19 +607,7 @@ class Board {
     // 清理事件监听器
     this.cleanup();
 
-    // 创建空白游戏面板
-    this.grid = create2DArray(GAME_CONFIG.ROWS, GAME_CONFIG.COLS, null);
-
-    // 初始化游戏数据
-    this.score = 0;
-    this.lines = 0;
-    this.level = 1;
-
-    const { interval, multiplier } = calculateDropSpeed(this.level);
-    this.interval = interval;
-    this.speed = multiplier;
-
-    // 初始化游戏耗时
+    // 初始化游戏耗时（引擎按游戏用时记录格子的固定时间，需要先于引擎重置）
     this.gameStartTime = 0;
     this.gameTime = 0;
     this.isTimerRunning = false;
@@ -238,19 +618,46 @@ class Board {
     this.timedModeSeconds = GAME_CONFIG.GAME_MODES.TIMED.duration;
     this.remainingTime = this.timedModeSeconds * 1000; // 转换为毫秒
 
-    // 重置方块池
-    this.piecePool = [];
-
-    // 初始化方块
-    this.currentPiece = null;
-    this.nextPiece = new Tetromino(getRandomPiece(this.grid));
-    this.heldPiece = null;
-    this.canHold = true;
+    // 重置规则引擎（网格、方块、得分和等级），不支持 Big 模式的模式使用原尺寸
+    this.engine.options.scale =
+      this.bigMode && getModeSetting("allowBig") !== false
+        ? GAME_CONFIG.BIG_MODE.SCALE
+        : 1;
+    this.engine.reset();
+
+    // 初始化竞速模式（目标消行数和分段计时）
+    this.isSprintMode = GAME_CONFIG.CURRENT_MODE === "SPRINT";
+    this.isDigMode = GAME_CONFIG.CURRENT_MODE === "DIG";
+    this.isSurvivalMode = GAME_CONFIG.CURRENT_MODE === "SURVIVAL";
+
+    // 禅模式：选择继续时恢复上次保存的进度
+    this.isZenMode = GAME_CONFIG.CURRENT_MODE === "ZEN";
+    if (this.isZenMode && getModeSetting("resume")) {
+      // 先恢复用时，恢复的格子按这一时间记录固定时间
+      const session = this.loadZenSession();
+      if (session) {
+        this.gameTime = session.time;
+        if (!this.engine.restore(session.state)) {
+          this.gameTime = 0;
+        }
+      }
+    }
+    this.isPuzzleMode = this.engine.puzzle !== null;
+    this.isMasterMode = GAME_CONFIG.CURRENT_MODE === "MASTER";
+    this.grade = null; // 大师模式当前的段位
+    this.gmCheckpoints = {}; // 大师模式各检查点（等级）是否达到 GM 的要求
+    this.isTimeAttack =
+      this.isSprintMode || this.isDigMode || this.isMasterMode; // 以用时计成绩的模式
+    this.lineGoal = this.engine.lineGoal;
+    this.splitLines = getModeSetting("splitLines") || 0;
+    this.splits = [];
+    this.isNewRecord = false;
 
     // 游戏状态
-    this.isGameOver = false;
     this.isPaused = false;
     this._processingLineClear = false;
+    this._garbageRising = false;
+    this._spawnDelayRemaining = 0; // 距离下一个方块出现的剩余时间（毫秒）
 
     // 隐藏游戏结束模态框
     const gameOverModal = document.getElementById("gameOverModal");
@@ -261,11 +668,57 @@ class Board {
     // 更新显示
     this.updateScoreDisplay();
     this.updateHighScoreDisplay();
+    this.updateScoringRulesPanel();
+    this.updateHoldPanel();
+    this.updateSprintPanel();
+    this.updateDigPanel();
+    this.updateSurvivalPanel();
+    this.updatePuzzlePanel();
+    this.updateMasterGrade();
+
+    // 面板尺寸随模式或 Big 模式变化时重新计算画布大小
+    if (this.canvasCols !== this.cols || this.canvasRows !== this.rows) {
+      this.updateCanvasSize();
+    }
 
     // 绘制初始状态
     this.draw();
   }
 
+  /**
+   * 当前模式禁用暂存时隐藏暂存面板
+   */
+  updateHoldPanel() {
+    if (!this.holdCanvas) return;
+
+    const panel =
+      this.holdCanvas.closest(".hold-panel, .score-item") ||
+      this.holdCanvas.parentElement;
+    if (panel) {
+      panel.style.display = this.engine.holdRule === "off" ? "none" : "";
+    }
+  }
+
+  /**
+   * 根据当前模式的计分规则更新积分规则面板
+   */
+  updateScoringRulesPanel() {
+    const container = document.getElementById("lineScoreRules");
+    if (!container) return;
+
+    // 移除旧的规则说明，保留标题
+    container.querySelectorAll(".rule-desc").forEach((el) => el.remove());
+
+    // 使用 data-i18n 属性，切换语言时由 i18n 自动重新翻译
+    this.engine.scoring.rules.forEach((key) => {
+      const desc = document.createElement("div");
+      desc.className = "rule-desc";
+      desc.setAttribute("data-i18n", key);
+      desc.textContent = window.i18n ? window.i18n.getText(key) : key;
+      container.appendChild(desc);
+    });
+  }
+
   /**
    * 生成新的方块
    */
@@ -276,37 +729,52 @@ class Board {
       return;
     }
 
-    // 如果没有下一个方块，创建一个
-    if (!this.nextPiece) {
-      this.nextPiece = new Tetromino(getRandomPiece(this.grid));
+    // 检查游戏是否结束（出生位置已被占据时）
+    const topOutClears = this.engine.topOutClears;
+    if (!this.engine.spawnPiece()) {
+      console.log("游戏结束：出生位置已被占据");
+      window.game.gameOver();
+      return;
     }
 
-    // 将下一个方块设置为当前方块
-    this.currentPiece = this.nextPiece;
-
-    // 计算初始位置（从游戏区域上方开始）
-    const shape = this.currentPiece.shape;
-    const x = Math.floor((GAME_CONFIG.COLS - shape[0].length) / 2);
-    const y = -shape.length + 1; // 确保新方块部分可见
+    // 禅模式堆到顶部时清空了上方的行，代替游戏结束
+    if (this.engine.topOutClears > topOutClears) {
+      console.log("堆到顶部，清空上方的行");
+      this.playSound("lineClear");
+      this.draw();
+    }
 
-    this.currentPiece.x = x;
-    this.currentPiece.y = y;
+    this.saveZenSession();
+    this.updatePuzzlePanel();
+    this.updateMasterGrade();
+  }
 
-    // 创建下一个方块
-    this.nextPiece = new Tetromino(getRandomPiece(this.grid));
+  /**
+   * 经过出现延迟后生成新方块，没有延迟时立即生成
+   * @param {number} delay 出现延迟（毫秒）
+   */
+  queueSpawn(delay) {
+    if (delay > 0) {
+      this._spawnDelayRemaining = delay;
+    } else {
+      this.spawnNewPiece();
+    }
+  }
 
-    // 检查游戏是否结束（当新方块无法放置时）
-    if (
-      !isValidMove(this.grid, this.currentPiece.shape, x, y) ||
-      !isValidMove(this.grid, this.currentPiece.shape, x, y + 1)
-    ) {
-      console.log("游戏结束：无法放置新方块或方块无法下落");
-      window.game.gameOver();
+  /**
+   * 推进出现延迟，延迟结束时生成新方块
+   * @param {number} deltaTime 距离上一帧经过的时间（毫秒）
+   */
+  updateSpawnDelay(deltaTime) {
+    if (this.isGameOver || this.isPaused || this._spawnDelayRemaining <= 0) {
       return;
     }
 
-    // 允许暂存
-    this.canHold = true;
+    this._spawnDelayRemaining -= deltaTime;
+    if (this._spawnDelayRemaining <= 0) {
+      this._spawnDelayRemaining = 0;
+      this.spawnNewPiece();
+    }
   }
 
   /**
@@ -320,45 +788,21 @@ class Board {
         return;
       }
 
-      // 检查是否可以暂存
-      if (!this.canHold) {
+      // 检查是否可以暂存（当前模式禁用暂存或本方块已暂存过）
+      if (!this.engine.hold()) {
         console.log("Cannot hold piece: hold is not available");
         return;
       }
 
-      const temp = this.currentPiece;
-
-      if (this.heldPiece === null) {
-        // 第一次暂存
-        this.heldPiece = new Tetromino(temp.type);
-        this.spawnNewPiece();
-      } else {
-        // 交换当前方块和暂存方块
-        const newPiece = new Tetromino(this.heldPiece.type);
-        this.heldPiece = new Tetromino(temp.type);
-
-        // 设置新方块位置
-        newPiece.x = Math.floor(
-          (GAME_CONFIG.COLS - newPiece.shape[0].length) / 2
-        );
-        newPiece.y = 0;
-
-        // 检查新位置是否有效
-        if (isValidMove(this.grid, newPiece.shape, newPiece.x, newPiece.y)) {
-          this.currentPiece = newPiece;
-        } else {
-          // 如果新位置无效，恢复原状
-          this.heldPiece = new Tetromino(newPiece.type);
-          console.log("Cannot hold piece: invalid position for held piece");
-          return;
-        }
+      // 换出的方块从出生位置开始，位置被占用时游戏结束
+      if (this.isGameOver) {
+        window.game.gameOver();
+        return;
       }
 
-      // 禁用暂存直到下一次移动
-      this.canHold = false;
-
       // 更新显示
       this.draw();
+      this.saveZenSession();
     } catch (error) {
       console.error("Error in holdPiece:", error);
     }
@@ -378,57 +822,160 @@ class Board {
         return;
       }
 
-      const newX = this.currentPiece.x + dx;
-      const newY = this.currentPiece.y + dy;
+      // 玩家主动下移视为软降（按计分规则获得软降得分）
+      const isSoftDrop = !isAutoMove && dx === 0 && dy > 0;
+      const moved = isSoftDrop
+        ? this.engine.softDrop(dy) > 0
+        : this.engine.move(dx, dy);
+
+      if (moved) {
+        if (isSoftDrop && this.engine.scoring.softDrop > 0) {
+          this.updateScoreDisplay();
+        }
 
-      if (isValidMove(this.grid, this.currentPiece.shape, newX, newY)) {
         // 只在非自动移动时播放音效
         if (!isAutoMove && ((dx !== 0 && dy === 0) || (dx === 0 && dy > 0))) {
           this.playSound("move");
         }
 
-        this.currentPiece.move(dx, dy);
         this.draw();
         resolve(true);
         return;
       }
 
-      // 如果向下移动失败，则固定方块
-      if (dy > 0) {
-        // 保存当前方块信息用于动画
-        const pieceInfo = {
-          x: this.currentPiece.x,
-          y: this.currentPiece.y,
-          shape: JSON.parse(JSON.stringify(this.currentPiece.shape)),
-          type: this.currentPiece.type,
-        };
+      // 向下移动失败时不立即固定，由锁定延迟决定何时固定
+      resolve(false);
+    });
+  }
+
+  /**
+   * 连续移动当前方块，直到受阻或达到最大格数（用于 ARR 自动移动）
+   * @param {number} dx x方向每步移动距离
+   * @param {number} dy y方向每步移动距离
+   * @param {number} [maxSteps=Infinity] 最多移动的步数
+   * @returns {number} 实际移动的步数
+   */
+  shiftPiece(dx, dy, maxSteps = Infinity) {
+    if (this.isGameOver || this.isPaused || !this.currentPiece) return 0;
 
-        // 将方块固定到网格
-        this.placePiece();
+    let steps = 0;
+    while (steps < maxSteps && this.engine.move(dx, dy)) {
+      steps++;
+    }
 
-        resolve(false);
-        return;
+    if (steps > 0) {
+      this.playSound("move");
+      this.draw();
+    }
+
+    return steps;
+  }
+
+  /**
+   * 按重力下落当前方块
+   * @param {number} rows 最多下落的格数
+   * @returns {number} 实际下落的格数
+   */
+  applyGravity(rows) {
+    if (this.isGameOver || this.isPaused || !this.currentPiece) return 0;
+
+    const dropDistance = this.engine.applyGravity(rows);
+    if (dropDistance > 0) {
+      this.draw();
+    }
+
+    return dropDistance;
+  }
+
+  /**
+   * 软降当前方块（按计分规则获得软降得分）
+   * @param {number} rows 最多下落的格数
+   * @returns {number} 实际下落的格数
+   */
+  softDrop(rows) {
+    if (this.isGameOver || this.isPaused || !this.currentPiece) return 0;
+
+    const dropDistance = this.engine.softDrop(rows);
+    if (dropDistance > 0) {
+      if (this.engine.scoring.softDrop > 0) {
+        this.updateScoreDisplay();
       }
+      this.playSound("move");
+      this.draw();
+    }
 
-      resolve(false);
-    });
+    return dropDistance;
+  }
+
+  /**
+   * 推进锁定延迟，计时结束时固定当前方块
+   * @param {number} deltaTime 距离上一帧经过的时间（毫秒）
+   */
+  updateLockDelay(deltaTime) {
+    if (
+      this.isGameOver ||
+      this.isPaused ||
+      !this.currentPiece ||
+      this._processingLineClear
+    ) {
+      return;
+    }
+
+    if (this.engine.updateLockDelay(deltaTime)) {
+      this.placePiece();
+    }
+  }
+
+  /**
+   * 推进垃圾行升起的计时，到时间后从底部插入垃圾行
+   * @param {number} deltaTime 距离上一帧经过的时间（毫秒）
+   */
+  updateGarbage(deltaTime) {
+    if (
+      this.isGameOver ||
+      this.isPaused ||
+      this._processingLineClear ||
+      this._garbageRising
+    ) {
+      return;
+    }
+
+    const count = this.engine.updateGarbageTimer(deltaTime);
+    if (count > 0) {
+      this.riseGarbage(count);
+    }
+  }
+
+  /**
+   * 从底部升起垃圾行，堆叠被推出网格时游戏结束
+   * @param {number} count 升起的行数
+   */
+  riseGarbage(count) {
+    if (!this.engine.addGarbageRows(count)) {
+      console.log("游戏结束：垃圾行将方块推出网格");
+      window.game.gameOver();
+      return;
+    }
+
+    this.playSound("drop");
+    this.updateSurvivalPanel();
+    this.playGarbageRisingAnimation(count);
   }
 
   /**
    * 旋转当前方块
+   * @param {number} [direction=1] 旋转方向：1 顺时针，-1 逆时针，2 旋转180度
    * @returns {Promise<boolean>} 旋转是否成功
    */
-  rotatePiece() {
+  rotatePiece(direction = 1) {
     return new Promise((resolve) => {
       if (this.isGameOver || this.isPaused || !this.currentPiece) {
         resolve(false);
         return;
       }
 
-      const newShape = this.currentPiece.rotate();
-
-      // 尝试墙踢
-      if (this.currentPiece.tryWallKick(this.grid, newShape)) {
+      // 尝试旋转（包含 SRS 墙踢）
+      if (this.engine.rotate(direction) >= 0) {
         // 旋转成功时播放旋转音效
         this.playSound("rotate");
         this.draw();
@@ -447,41 +994,25 @@ class Board {
 
     console.log("执行硬降操作");
 
-    // 计算下落距离
-    let dropDistance = 0;
-    const originalY = this.currentPiece.y;
-
-    // 找到最低可下落位置
-    while (
-      isValidMove(
-        this.grid,
-        this.currentPiece.shape,
-        this.currentPiece.x,
-        this.currentPiece.y + 1
-      )
-    ) {
-      this.currentPiece.y++;
-      dropDistance++;
-    }
+    // 下落到最低位置（已经触底时距离为 0，同样立即固定，跳过锁定延迟）
+    this.engine.hardDrop();
 
-    if (dropDistance > 0) {
-      // 播放落地音效
-      this.playSound("drop");
-
-      // 保存当前方块信息用于动画
-      const pieceInfo = {
-        x: this.currentPiece.x,
-        y: this.currentPiece.y,
-        shape: JSON.parse(JSON.stringify(this.currentPiece.shape)),
-        type: this.currentPiece.type,
-      };
+    // 播放落地音效
+    this.playSound("drop");
 
-      // 将方块固定到网格
-      this.placePiece();
+    // 保存当前方块信息用于动画
+    const pieceInfo = {
+      x: this.currentPiece.x,
+      y: this.currentPiece.y,
+      shape: JSON.parse(JSON.stringify(this.currentPiece.shape)),
+      type: this.currentPiece.type,
+    };
 
-      // 等待落地动画完成
-      await this.playLandingAnimation(pieceInfo);
-    }
+    // 将方块固定到网格
+    this.placePiece();
+
+    // 等待落地动画完成
+    await this.playLandingAnimation(pieceInfo);
   }
 
   /**
@@ -507,7 +1038,7 @@ class Board {
 
           // 只为方块底部创建气体（检查下方是否有其他方块或到达底部）
           const isBottom =
-            blockY + 1 >= GAME_CONFIG.ROWS ||
+            blockY + 1 >= this.grid.length ||
             (this.grid[blockY + 1] && this.grid[blockY + 1][blockX] !== null);
 
           if (isBottom) {
@@ -518,7 +1049,8 @@ class Board {
             for (let i = 0; i < particleCount; i++) {
               // 计算粒子初始位置（方块底部）
               const x = (blockX + 0.5) * this.actualCellSize;
-              const y = (blockY + 1) * this.actualCellSize - 2; // 稍微上移一点
+              const y =
+                (blockY - this.bufferRows + 1) * this.actualCellSize - 2; // 稍微上移一点
 
               // 使用非常淡的灰白色
               const grayValue = 230 + Math.floor(Math.random() * 25);
@@ -657,9 +1189,13 @@ class Board {
         // 绘制背景网格
         this.drawGrid();
 
+        // 网格和方块使用包含缓冲区的坐标
+        this.ctx.save();
+        this.translateToVisibleField();
+
         // 绘制网格中的方块（除了刚落下的方块）
-        for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
-          for (let x = 0; x < GAME_CONFIG.COLS; x++) {
+        for (let y = 0; y < this.grid.length; y++) {
+          for (let x = 0; x < this.cols; x++) {
             // 跳过刚落下的方块位置
             let skipCell = false;
             if (pieceInfo) {
@@ -679,7 +1215,7 @@ class Board {
             }
 
             if (!skipCell && this.grid[y] && this.grid[y][x]) {
-              drawBlock(this.ctx, x, y, this.grid[y][x], this.actualCellSize);
+              this.drawStackBlock(x, y, this.grid[y][x]);
             }
           }
         }
@@ -710,7 +1246,7 @@ class Board {
                 this.ctx.translate(-centerX, -centerY);
 
                 // 绘制方块
-                drawBlock(this.ctx, x, y, pieceInfo.type, this.actualCellSize);
+                this.drawCell(x, y, pieceInfo.type);
 
                 this.ctx.restore();
               }
@@ -718,6 +1254,8 @@ class Board {
           }
         }
 
+        this.ctx.restore();
+
         // 继续动画或结束
         if (progress < 1) {
           requestAnimationFrame(animate);
@@ -739,40 +1277,18 @@ class Board {
 
     console.log("固定方块到网格");
 
-    const { shape, x, y, type } = this.currentPiece;
+    // 将方块固定到网格中
+    this.engine.lockPiece();
 
-    // 将方块的每个部分添加到网格中
-    shape.forEach((row, dy) => {
-      row.forEach((value, dx) => {
-        if (value) {
-          const gridY = y + dy;
-          const gridX = x + dx;
-          if (
-            gridY >= 0 &&
-            gridY < GAME_CONFIG.ROWS &&
-            gridX >= 0 &&
-            gridX < GAME_CONFIG.COLS
-          ) {
-            this.grid[gridY][gridX] = type;
-            console.log(`设置网格[${gridY}][${gridX}] = ${type}`); // 添加调试日志
-          }
-        }
-      });
-    });
+    // 更新界面显示
+    this.draw();
 
-    // 打印网格状态
-    console.log("当前网格状态:");
-    for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
-      if (this.grid[y].some((cell) => cell !== null)) {
-        console.log(`行 ${y}:`, this.grid[y]);
-      }
-    }
-
-    // 清除当前方块
-    this.currentPiece = null;
-
-    // 更新界面显示
-    this.draw();
+    // 方块完全固定在可见区域之上（Lock out）
+    if (this.isGameOver) {
+      console.log("游戏结束：方块固定在可见区域之上");
+      window.game.gameOver();
+      return;
+    }
 
     // 如果已经在处理行消除，不要再次调用clearLines
     if (this._processingLineClear) {
@@ -790,21 +1306,19 @@ class Board {
    */
   async clearLines() {
     // 记录已填满的行索引
-    const fullRows = [];
-
-    // 检查每一行
-    for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
-      // 确保行存在且所有单元格都有方块
-      if (this.grid[y] && this.grid[y].every((cell) => cell !== null)) {
-        fullRows.push(y);
-        console.log(`发现完整行: ${y}, 内容:`, this.grid[y]); // 增强调试日志
-      }
-    }
+    const fullRows = this.engine.getFullRows();
 
-    // 如果没有可消除的行，直接生成新方块
+    // 如果没有可消除的行，结算没有消行的 T-Spin 后直接生成新方块
     if (fullRows.length === 0) {
       console.log("没有完整行，生成新方块");
-      this.spawnNewPiece();
+      const clearResult = this.engine.clearLines(fullRows);
+      if (clearResult.tSpin) {
+        this.showClearScore(clearResult.score, this.getClearLabels(clearResult));
+      }
+
+      // 连击中断，需要刷新显示
+      this.updateScoreDisplay();
+      this.queueSpawn(this.engine.spawnDelay);
       return;
     }
 
@@ -817,52 +1331,53 @@ class Board {
       // 播放音效
       this.playSound("lineClear");
 
-      // 播放消除动画
-      await this.playLineClearAnimation(fullRows);
+      // 渐隐和隐形挑战中消行时闪现整个堆叠
+      this.revealUntil = Date.now() + GAME_CONFIG.VISIBILITY.FLASH_DURATION;
+
+      // 以方块固定的时刻为准：达到目标时立即停表，分段和大师模式的检查点也使用这一时刻，
+      // 不计入消除动画的时间
+      const lockTime = this.getGameTime();
+      if (this.engine.willReachGoal(fullRows)) {
+        this.pauseTimer();
+      }
+
+      // 播放消除动画（大师模式的消行延迟随等级缩短）
+      await this.playLineClearAnimation(
+        fullRows,
+        this.engine.lineClearDelay !== null ? this.engine.lineClearDelay : 800
+      );
 
       console.log("消除动画完成，开始实际消除行并播放下落动画");
 
       // 创建一个临时网格用于动画和保存原始网格
       const oldGrid = [];
       // 手动深拷贝网格，避免使用JSON序列化可能带来的问题
-      for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
+      for (let y = 0; y < this.grid.length; y++) {
         oldGrid[y] = [...this.grid[y]];
       }
 
-      // 创建一个新的临时网格
-      const tempGrid = Array(GAME_CONFIG.ROWS)
-        .fill()
-        .map(() => Array(GAME_CONFIG.COLS).fill(null));
-
-      // 从下往上处理，跳过被消除的行
-      let targetRow = GAME_CONFIG.ROWS - 1;
-
-      // 从原网格底部开始，向上遍历
-      for (let sourceRow = GAME_CONFIG.ROWS - 1; sourceRow >= 0; sourceRow--) {
-        // 如果当前行是要消除的行，跳过
-        if (fullRows.includes(sourceRow)) {
-          console.log(`跳过消除行: ${sourceRow}`);
-          continue;
-        }
-
-        // 将非消除行复制到新网格中
-        for (let x = 0; x < GAME_CONFIG.COLS; x++) {
-          tempGrid[targetRow][x] = this.grid[sourceRow][x];
-        }
+      // 消除行并计算得分和等级
+      const clearResult = this.engine.clearLines(fullRows);
+      const scoreToAdd = clearResult.score;
 
-        console.log(`将原行 ${sourceRow} 移动到新行 ${targetRow}`);
-        targetRow--;
+      // 达到目标后停表（计时模式已在动画前停表），竞速模式同时记录分段时间
+      if (this.engine.isCleared) {
+        this.pauseTimer();
+      }
+      if (this.isSprintMode) {
+        this.recordSplits(lockTime);
+        this.updateSprintPanel();
       }
+      this.updateDigPanel();
+      this.updateSurvivalPanel();
+      this.updateMasterGrade(lockTime);
 
       // 播放上方方块下落动画
-      this.playBlocksFallingAnimation(oldGrid, tempGrid, fullRows);
-
-      // 更新实际网格
-      this.grid = tempGrid;
+      this.playBlocksFallingAnimation(oldGrid, this.grid, fullRows);
 
       // 打印消除后的网格状态
       console.log("消除后的网格状态:");
-      for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
+      for (let y = 0; y < this.grid.length; y++) {
         if (this.grid[y].some((cell) => cell !== null)) {
           console.log(`行 ${y}:`, this.grid[y]);
         }
@@ -872,47 +1387,17 @@ class Board {
 
       // 只有在消除行时才加分
       if (fullRows.length > 0) {
-        // 计算得分
-        let scoreToAdd = fullRows.length * 10;
-        if (fullRows.length == 4) {
-          scoreToAdd = 60;
-        } else if (fullRows.length == 3) {
-          scoreToAdd = 50;
-        } else if (fullRows.length == 2) {
-          scoreToAdd = 30;
-        } else if (fullRows.length == 1) {
-          scoreToAdd = 10;
-        }
-
-        scoreToAdd = scoreToAdd * this.level;
-
-        // 更新总分
-        this.score += scoreToAdd;
-
-        // 更新分数统计
-        this.lines += fullRows.length;
-        // 计算等级
-        this.level = Math.max(1, Math.floor(this.lines / 10) + 1);
-
-        // 更新下落速度
-        const { interval, multiplier } = calculateDropSpeed(this.level);
-        this.interval = interval;
-        this.speed = multiplier;
-
-        // 显示积分动画
-        // 计算动画显示位置（在画布的中上位置）
-        const canvasRect = this.canvas.getBoundingClientRect();
-        const x = canvasRect.left + this.canvas.width / 2;
-        const y = canvasRect.top + this.canvas.height * 0.25; // 画布顶部1/4处
+        // 显示积分动画（附带 T-Spin、Back-to-Back、连击等提示文字）
+        this.showClearScore(scoreToAdd, this.getClearLabels(clearResult));
 
-        // 使用多位置积分动画
-        this.showScoreAnimation(scoreToAdd, x, y);
+        // 全消时播放专属动画和音效
+        if (clearResult.perfectClear) {
+          this.playPerfectClearAnimation();
+          this.playPerfectClearSound();
+        }
 
         // 更新分数显示
         this.updateScoreDisplay();
-
-        // 重新计算下落时间
-        window.game.recalculateDropTime();
       }
 
       // await new Promise((resolve) => setTimeout(resolve, 350));
@@ -923,10 +1408,16 @@ class Board {
       // 清除处理标记
       this._processingLineClear = false;
 
+      // 达成模式目标，结束游戏
+      if (this.engine.isCleared) {
+        window.game.gameOver();
+        return;
+      }
+
       // 只有当游戏没有暂停时，才生成新方块
       if (!this.isPaused) {
         console.log("游戏未暂停，生成新方块");
-        this.spawnNewPiece();
+        this.queueSpawn(this.engine.lineSpawnDelay);
       } else {
         console.log("游戏已暂停，不生成新方块");
       }
@@ -945,12 +1436,12 @@ class Board {
   /**
    * 播放消除动画
    * @param {Array<number>} rows 要消除的行索引数组
+   * @param {number} [duration=800] 动画持续时间（毫秒）
    * @returns {Promise} 动画完成的Promise
    */
-  async playLineClearAnimation(rows) {
+  async playLineClearAnimation(rows, duration = 800) {
     console.log("开始播放行消除动画", rows);
     return new Promise((resolve) => {
-      const duration = 800; // 动画持续时间（毫秒）
       const startTime = performance.now();
 
       // 保存原始状态
@@ -978,20 +1469,18 @@ class Board {
         // 绘制背景网格
         this.drawGrid();
 
+        // 网格和方块使用包含缓冲区的坐标
+        this.ctx.save();
+        this.translateToVisibleField();
+
         // 绘制未消除的方块
-        for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
+        for (let y = 0; y < this.grid.length; y++) {
           // 跳过要消除的行
           if (rows.includes(y)) continue;
 
-          for (let x = 0; x < GAME_CONFIG.COLS; x++) {
+          for (let x = 0; x < this.cols; x++) {
             if (originalGrid[y] && originalGrid[y][x]) {
-              drawBlock(
-                this.ctx,
-                x,
-                y,
-                originalGrid[y][x],
-                this.actualCellSize
-              );
+              this.drawStackBlock(x, y, originalGrid[y][x]);
             }
           }
         }
@@ -1021,15 +1510,9 @@ class Board {
 
             // 在闪光阶段，仍然绘制原始方块（但会闪烁）
             if (Math.sin(progress * 50) > 0) {
-              for (let x = 0; x < GAME_CONFIG.COLS; x++) {
+              for (let x = 0; x < this.cols; x++) {
                 if (originalGrid[rowIndex] && originalGrid[rowIndex][x]) {
-                  drawBlock(
-                    this.ctx,
-                    x,
-                    rowIndex,
-                    originalGrid[rowIndex][x],
-                    this.actualCellSize
-                  );
+                  this.drawCell(x, rowIndex, originalGrid[rowIndex][x]);
                 }
               }
             }
@@ -1041,20 +1524,14 @@ class Board {
           const disappearProgress = (progress - 0.2) / 0.8; // 消失动画进度
 
           rows.forEach((rowIndex) => {
-            for (let x = 0; x < GAME_CONFIG.COLS; x++) {
+            for (let x = 0; x < this.cols; x++) {
               if (originalGrid[rowIndex] && originalGrid[rowIndex][x]) {
                 // 计算每个方块的消失时间点（从左到右依次消失）
-                const blockDisappearPoint = (x / GAME_CONFIG.COLS) * 0.7; // 0.7是调整系数，控制消失速度
+                const blockDisappearPoint = (x / this.cols) * 0.7; // 0.7是调整系数，控制消失速度
 
                 // 如果当前进度小于这个方块的消失时间点，则绘制方块
                 if (disappearProgress < blockDisappearPoint) {
-                  drawBlock(
-                    this.ctx,
-                    x,
-                    rowIndex,
-                    originalGrid[rowIndex][x],
-                    this.actualCellSize
-                  );
+                  this.drawCell(x, rowIndex, originalGrid[rowIndex][x]);
                 }
                 // 如果当前进度接近这个方块的消失时间点，则创建碎片效果
                 else if (
@@ -1063,20 +1540,31 @@ class Board {
                     (f) => f.originX === x && f.originY === rowIndex
                   ).length === 0
                 ) {
-                  // 为这个方块创建碎片
-                  this.createBlockFragments(
-                    x,
-                    rowIndex,
-                    originalGrid[rowIndex][x],
-                    fragments
-                  );
+                  // 为这个方块创建碎片（Big 模式下格子中的每个方块分别碎裂）
+                  const scale = this.engine.scale;
+                  for (let dy = 0; dy < scale; dy++) {
+                    for (let dx = 0; dx < scale; dx++) {
+                      this.createBlockFragments(
+                        x,
+                        rowIndex,
+                        originalGrid[rowIndex][x],
+                        fragments,
+                        dx,
+                        dy
+                      );
+                    }
+                  }
                 }
               }
             }
           });
+        }
+
+        this.ctx.restore();
 
-          // 更新和绘制碎片
-          this.updateAndDrawFragments(fragments, disappearProgress);
+        // 更新和绘制碎片（碎片使用画布坐标）
+        if (progress >= 0.2) {
+          this.updateAndDrawFragments(fragments, (progress - 0.2) / 0.8);
         }
 
         // 继续动画或结束
@@ -1099,12 +1587,16 @@ class Board {
    * @param {number} y 方块的y坐标
    * @param {string} blockType 方块类型
    * @param {Array} fragments 碎片数组
+   * @param {number} [subX=0] Big 模式下格子内方块的列（0 到 scale - 1）
+   * @param {number} [subY=0] Big 模式下格子内方块的行（0 到 scale - 1）
    */
-  createBlockFragments(x, y, blockType, fragments) {
+  createBlockFragments(x, y, blockType, fragments, subX = 0, subY = 0) {
     const colors = GAME_CONFIG.COLORS[blockType];
-    const cellSize = this.actualCellSize;
-    const centerX = x * cellSize + cellSize / 2;
-    const centerY = y * cellSize + cellSize / 2;
+    const scale = this.engine.scale;
+    const cellSize = this.actualCellSize / scale;
+    const centerX = (x * scale + subX) * cellSize + cellSize / 2;
+    const centerY =
+      ((y - this.bufferRows) * scale + subY) * cellSize + cellSize / 2;
 
     // 为每个方块创建8-12个碎片
     const fragmentCount = 8 + Math.floor(Math.random() * 5);
@@ -1282,11 +1774,11 @@ class Board {
       const blockMoves = [];
 
       // 遍历旧网格中的每个方块
-      for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
+      for (let y = 0; y < oldGrid.length; y++) {
         // 跳过被消除的行
         if (clearedRows.includes(y)) continue;
 
-        for (let x = 0; x < GAME_CONFIG.COLS; x++) {
+        for (let x = 0; x < this.cols; x++) {
           const block = oldGrid[y][x];
           if (block !== null) {
             // 计算这个方块在新网格中的位置
@@ -1328,9 +1820,11 @@ class Board {
         // 绘制背景网格
         this.drawGrid();
 
-        // 绘制所有方块
-        for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
-          for (let x = 0; x < GAME_CONFIG.COLS; x++) {
+        // 绘制所有方块（使用包含缓冲区的坐标）
+        this.ctx.save();
+        this.translateToVisibleField();
+        for (let y = 0; y < oldGrid.length; y++) {
+          for (let x = 0; x < this.cols; x++) {
             // 检查这个位置是否有需要动画的方块
             const movingBlock = blockMoves.find(
               (move) => move.x === x && move.startY === y
@@ -1342,22 +1836,17 @@ class Board {
               const endY = movingBlock.endY;
               const currentY = startY + (endY - startY) * easedProgress;
 
-              // 绘制移动中的方块
-              drawBlock(
-                this.ctx,
-                x,
-                currentY,
-                movingBlock.block,
-                this.actualCellSize
-              );
+              // 绘制移动中的方块（按下落后的位置查询固定时间）
+              this.drawStackBlock(x, currentY, movingBlock.block, endY);
             } else {
               // 绘制静态方块（不在被消除的行中且不需要移动的方块）
               if (!clearedRows.includes(y) && oldGrid[y][x] !== null) {
-                drawBlock(this.ctx, x, y, oldGrid[y][x], this.actualCellSize);
+                this.drawStackBlock(x, y, oldGrid[y][x]);
               }
             }
           }
         }
+        this.ctx.restore();
 
         // 绘制UI元素
         this.drawUI();
@@ -1376,6 +1865,77 @@ class Board {
     });
   }
 
+  /**
+   * 播放垃圾行升起动画：整个堆叠和当前方块从原来的位置上移，新的垃圾行从底部升起
+   * 网格已经更新，按尚未升起的距离向下偏移绘制；动画期间 draw() 不绘制场地，由动画负责
+   * @param {number} count - 升起的行数
+   * @returns {Promise} - 动画完成的Promise
+   */
+  playGarbageRisingAnimation(count) {
+    return new Promise((resolve) => {
+      // 动画持续时间（毫秒）
+      const duration = 200;
+      // 动画开始时间
+      const startTime = performance.now();
+      // 缓动函数 - 先快后慢
+      const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+
+      this._garbageRising = true;
+
+      // 动画函数
+      const animate = (currentTime) => {
+        // 计算动画进度
+        const elapsed = currentTime - startTime;
+        const progress = Math.min(elapsed / duration, 1);
+        // 尚未升起的距离（格）
+        const offset = count * (1 - easeOutCubic(progress));
+
+        // 清除画布
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // 绘制背景网格
+        this.drawGrid();
+
+        // 绘制所有方块（使用包含缓冲区的坐标，整体向下偏移尚未升起的距离）
+        this.ctx.save();
+        this.translateToVisibleField();
+        this.ctx.translate(0, offset * this.actualCellSize);
+        for (let y = 0; y < this.grid.length; y++) {
+          for (let x = 0; x < this.cols; x++) {
+            if (this.grid[y][x] !== null) {
+              this.drawStackBlock(x, y, this.grid[y][x]);
+            }
+          }
+        }
+
+        // 当前方块跟随堆叠上移
+        if (this.currentPiece && this.currentPiece.shape) {
+          this.currentPiece.draw(
+            this.ctx,
+            false,
+            this.actualCellSize,
+            this.engine.scale
+          );
+        }
+        this.ctx.restore();
+
+        // 绘制UI元素
+        this.drawUI();
+
+        // 如果动画未完成，继续下一帧（游戏结束或开始消行时交还给 draw()）
+        if (progress < 1 && !this.isGameOver && !this._processingLineClear) {
+          requestAnimationFrame(animate);
+        } else {
+          this._garbageRising = false;
+          resolve();
+        }
+      };
+
+      // 开始动画
+      requestAnimationFrame(animate);
+    });
+  }
+
   /**
    * 调整颜色亮度
    * @param {string} color RGB颜色字符串或十六进制颜色
@@ -1421,6 +1981,9 @@ class Board {
    * 绘制游戏画面
    */
   draw() {
+    // 垃圾行升起动画期间由动画绘制场地
+    if (this._garbageRising) return;
+
     try {
       // 清空画布
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -1456,11 +2019,15 @@ class Board {
         return;
       }
 
-      // 绘制网格
-      for (let y = 0; y < GAME_CONFIG.ROWS; y++) {
-        for (let x = 0; x < GAME_CONFIG.COLS; x++) {
+      // 网格和方块使用包含缓冲区的坐标，缓冲区位于画布上方不会显示
+      this.ctx.save();
+      this.translateToVisibleField();
+
+      // 绘制网格（按可见性设置绘制已固定的方块）
+      for (let y = 0; y < this.grid.length; y++) {
+        for (let x = 0; x < this.cols; x++) {
           if (this.grid[y] && this.grid[y][x]) {
-            drawBlock(this.ctx, x, y, this.grid[y][x], this.actualCellSize);
+            this.drawStackBlock(x, y, this.grid[y][x]);
           }
         }
       }
@@ -1470,7 +2037,8 @@ class Board {
         try {
           const ghost = this.currentPiece.getGhost(this.grid);
           if (ghost && ghost.shape) {
-            ghost.draw(this.ctx, true); // 传入 true 表示这是模拟降落方块
+            // 传入 true 表示这是模拟降落方块
+            ghost.draw(this.ctx, true, this.actualCellSize, this.engine.scale);
           }
         } catch (error) {
           console.error("Error drawing ghost piece:", error);
@@ -1479,13 +2047,18 @@ class Board {
 
       // 绘制当前方块
       if (this.currentPiece && this.currentPiece.shape) {
-        this.currentPiece.draw(this.ctx);
+        this.currentPiece.draw(
+          this.ctx,
+          false,
+          this.actualCellSize,
+          this.engine.scale
+        );
       }
 
-      // 绘制下一个方块
-      if (this.nextPiece && this.nextPiece.shape) {
-        this.nextPiece.drawPreview(this.nextCtx);
-      }
+      this.ctx.restore();
+
+      // 绘制下一个方块队列
+      this.drawNextQueue();
 
       // 绘制暂存方块（如果存在）
       if (this.holdCtx && this.heldPiece && this.heldPiece.shape) {
@@ -1501,11 +2074,21 @@ class Board {
     }
   }
 
+  /**
+   * 平移画布坐标，使网格第 bufferRows 行对齐画布顶部（缓冲区在画布之外）
+   * 调用前需要 ctx.save()，绘制完成后 ctx.restore()
+   */
+  translateToVisibleField() {
+    this.ctx.translate(0, -this.bufferRows * this.actualCellSize);
+  }
+
   /**
    * 绘制背景网格线
    */
   drawGrid() {
-    const cellSize = this.actualCellSize || getCellSize();
+    // Big 模式按普通大小的格子绘制网格线，面板看起来仍是标准尺寸
+    const scale = this.engine.scale;
+    const cellSize = (this.actualCellSize || getCellSize()) / scale;
     const width = this.canvas.width;
     const height = this.canvas.height;
 
@@ -1514,7 +2097,7 @@ class Board {
     this.ctx.lineWidth = 1;
 
     // 绘制垂直线
-    for (let x = 0; x <= GAME_CONFIG.COLS; x++) {
+    for (let x = 0; x <= this.cols * scale; x++) {
       this.ctx.beginPath();
       this.ctx.moveTo(x * cellSize, 0);
       this.ctx.lineTo(x * cellSize, height);
@@ -1522,7 +2105,7 @@ class Board {
     }
 
     // 绘制水平线
-    for (let y = 0; y <= GAME_CONFIG.ROWS; y++) {
+    for (let y = 0; y <= this.rows * scale; y++) {
       this.ctx.beginPath();
       this.ctx.moveTo(0, y * cellSize);
       this.ctx.lineTo(width, y * cellSize);
@@ -1575,6 +2158,9 @@ class Board {
     // 停止游戏计时
     this.stopTimer();
 
+    // 重新绘制，显示渐隐或隐形的堆叠
+    this.draw();
+
     // 保存最高分
     this.saveHighScore(this.score);
 
@@ -1582,12 +2168,34 @@ class Board {
     const finalScoreElement = document.getElementById("finalScore");
     const finalHighScoreElement = document.getElementById("finalHighScore");
     const finalTimeElement = document.getElementById("finalTime");
+    const finalPerfectClearsElement = document.getElementById(
+      "finalPerfectClears"
+    );
     const gameOverTitleElement = document.getElementById("gameOverTitle");
 
     if (finalScoreElement) {
       finalScoreElement.textContent = this.score;
     }
 
+    if (finalPerfectClearsElement) {
+      finalPerfectClearsElement.textContent = this.perfectClears;
+    }
+
+    const finalPiecesElement = document.getElementById("finalPieces");
+    if (finalPiecesElement) {
+      finalPiecesElement.textContent = this.engine.piecesPlaced;
+    }
+
+    const finalLinesElement = document.getElementById("finalLines");
+    if (finalLinesElement) {
+      finalLinesElement.textContent = this.lines;
+    }
+
+    const finalLevelElement = document.getElementById("finalLevel");
+    if (finalLevelElement) {
+      finalLevelElement.textContent = this.level;
+    }
+
     if (finalHighScoreElement) {
       finalHighScoreElement.textContent = this.highScore;
     }
@@ -1600,7 +2208,40 @@ class Board {
         );
       } else {
         // 普通模式显示已用时间
-        finalTimeElement.textContent = this.formatTime(this.gameTime);
+        finalTimeElement.textContent = this.formatGameTime(this.gameTime);
+      }
+    }
+
+    // 竞速模式完成时保存成绩并显示最好成绩
+    // Big 模式和渐隐、隐形挑战的规则不同，不计入成绩
+    const finalBestTimeRow = document.getElementById("finalBestTimeRow");
+    const isRanked = this.engine.scale === 1 && this.visibility === "normal";
+    if (isRanked && this.engine.isCleared && this.isSprintMode) {
+      this.saveSprintRecord();
+    }
+    if (isRanked && this.engine.isCleared && this.isDigMode) {
+      this.saveDigRecord();
+    }
+    if (isRanked && this.isSurvivalMode) {
+      this.saveSurvivalRecord();
+    }
+    if (this.engine.isCleared && this.isPuzzleMode) {
+      this.savePuzzleProgress(this.engine.puzzle.id);
+    }
+    const finalGradeRow = document.getElementById("finalGradeRow");
+    if (finalGradeRow) {
+      finalGradeRow.style.display = this.isMasterMode ? "" : "none";
+      const finalGradeElement = document.getElementById("finalGrade");
+      if (this.isMasterMode && finalGradeElement) {
+        finalGradeElement.textContent = this.grade;
+      }
+    }
+    if (finalBestTimeRow) {
+      const bestText = this.getBestRecordText();
+      finalBestTimeRow.style.display = bestText ? "" : "none";
+      const finalBestTimeElement = document.getElementById("finalBestTime");
+      if (bestText && finalBestTimeElement) {
+        finalBestTimeElement.textContent = bestText;
       }
     }
 
@@ -1609,8 +2250,24 @@ class Board {
       if (this.isTimedMode && this.remainingTime <= 0) {
         gameOverTitleElement.textContent = "Time's Up!";
         gameOverTitleElement.style.color = "#ff3838";
+      } else if (this.isSurvivalMode && this.isNewRecord) {
+        gameOverTitleElement.textContent = "New Record!";
+        gameOverTitleElement.style.color = "#27ae60";
+      } else if (this.isMasterMode && this.grade === "GM") {
+        gameOverTitleElement.textContent = "Grand Master!";
+        gameOverTitleElement.style.color = "#f1c40f";
+      } else if (this.isPuzzleMode && this.engine.isCleared) {
+        gameOverTitleElement.textContent = "Solved!";
+        gameOverTitleElement.style.color = "#27ae60";
+      } else if (this.engine.isCleared) {
+        gameOverTitleElement.textContent = this.isNewRecord
+          ? "New Record!"
+          : "Cleared!";
+        gameOverTitleElement.style.color = "#27ae60";
       } else {
-        gameOverTitleElement.textContent = "Game Over";
+        // 显示结束原因，让玩家知道是哪种 Top out
+        gameOverTitleElement.textContent =
+          TOP_OUT_TITLES[this.engine.topOut] || "Game Over";
         gameOverTitleElement.style.color = "";
       }
     }
@@ -2012,6 +2669,27 @@ class Board {
    * 更新分数显示
    */
   updateScoreDisplay() {
+    // 更新连击、Back-to-Back、等级和速度（分数不变时也可能变化，需要先更新）
+    const levelElement = document.getElementById("level");
+    if (levelElement) {
+      levelElement.textContent = this.level;
+    }
+
+    const speedElement = document.getElementById("speed");
+    if (speedElement) {
+      speedElement.textContent = `${this.speed}x`;
+    }
+
+    const comboElement = document.getElementById("combo");
+    if (comboElement) {
+      comboElement.textContent = Math.max(0, this.combo);
+    }
+
+    const backToBackElement = document.getElementById("backToBack");
+    if (backToBackElement) {
+      backToBackElement.textContent = Math.max(0, this.backToBack);
+    }
+
     // 更新分数
     const scoreElement = document.getElementById("score");
     if (scoreElement) {
@@ -2050,17 +2728,6 @@ class Board {
       }, 500); // 与CSS动画时长一致
     }
 
-    // 更新等级
-    const levelElement = document.getElementById("level");
-    if (levelElement) {
-      levelElement.textContent = this.level;
-    }
-
-    const speedElement = document.getElementById("speed");
-    if (speedElement) {
-      speedElement.textContent = `${this.speed}x`;
-    }
-
     // 检查并更新历史最高分
     // this.saveHighScore(this.score); // 只在游戏结束时更新最高分，此处注释掉
 
@@ -2170,7 +2837,7 @@ class Board {
 
     this.isTimerRunning = true;
 
-    // 每秒更新一次游戏时间显示
+    // 定时更新游戏时间显示
     this.timerInterval = setInterval(() => {
       if (this.isTimerRunning) {
         if (this.isTimedMode) {
@@ -2193,7 +2860,30 @@ class Board {
         }
         this.updateTimeDisplay();
       }
-    }, 1000);
+    }, this.getTimerTick());
+  }
+
+  /**
+   * 获取计时器的刷新间隔
+   * 竞速模式需要精确到毫秒，其他模式每秒刷新一次
+   * @returns {number} 刷新间隔（毫秒）
+   */
+  getTimerTick() {
+    return this.isTimeAttack ? 50 : 1000;
+  }
+
+  /**
+   * 获取当前的游戏用时（计时中时按当前时刻计算）
+   * @returns {number} 游戏用时（毫秒）
+   */
+  getGameTime() {
+    if (this.isTimerRunning) {
+      return Date.now() - this.gameStartTime;
+    }
+    // 限时模式暂停时按剩余时间换算
+    return this.isTimedMode
+      ? this.timedModeSeconds * 1000 - this.remainingTime
+      : this.gameTime;
   }
 
   /**
@@ -2221,6 +2911,9 @@ class Board {
       clearInterval(this.timerInterval);
       this.timerInterval = null;
     }
+
+    // 禅模式暂停时同时保存进度
+    this.saveZenSession();
   }
 
   /**
@@ -2264,7 +2957,7 @@ class Board {
         }
         this.updateTimeDisplay();
       }
-    }, 1000);
+    }, this.getTimerTick());
 
     console.log("计时器已恢复");
   }
@@ -2281,7 +2974,7 @@ class Board {
       finalTime = this.formatTime(this.timedModeSeconds * 1000);
     } else {
       // 普通模式显示累计时间
-      finalTime = this.formatTime(this.gameTime);
+      finalTime = this.formatGameTime(this.gameTime);
     }
 
     console.log(
@@ -2311,6 +3004,29 @@ class Board {
       .padStart(2, "0")}`;
   }
 
+  /**
+   * 格式化时间为 mm:ss.mmm 格式（竞速、挖掘等以用时计成绩的模式使用）
+   * @param {number} timeMs 毫秒时间
+   * @returns {string} 格式化后的时间字符串
+   */
+  formatPreciseTime(timeMs) {
+    const milliseconds = Math.floor(timeMs % 1000);
+    return `${this.formatTime(timeMs)}.${milliseconds
+      .toString()
+      .padStart(3, "0")}`;
+  }
+
+  /**
+   * 按当前模式格式化已用时间：以用时计成绩的模式精确到毫秒
+   * @param {number} timeMs 毫秒时间
+   * @returns {string} 格式化后的时间字符串
+   */
+  formatGameTime(timeMs) {
+    return this.isTimeAttack
+      ? this.formatPreciseTime(timeMs)
+      : this.formatTime(timeMs);
+  }
+
   /**
    * 更新时间显示
    */
@@ -2332,24 +3048,133 @@ class Board {
         }
       } else {
         // 普通模式显示已用时间
-        timeElement.textContent = this.formatTime(this.gameTime);
+        timeElement.textContent = this.formatGameTime(this.gameTime);
         timeElement.classList.remove("time-warning");
       }
     }
   }
 
+  /**
+   * 在画布中上位置显示消行得分动画
+   * @param {number} score 获得的积分
+   * @param {Array<string>} [labels] 分数上方的提示文字
+   */
+  showClearScore(score, labels) {
+    // 计算动画显示位置（在画布的中上位置）
+    const canvasRect = this.canvas.getBoundingClientRect();
+    const x = canvasRect.left + this.canvas.width / 2;
+    const y = canvasRect.top + this.canvas.height * 0.25; // 画布顶部1/4处
+
+    this.showScoreAnimation(score, x, y, labels);
+  }
+
+  /**
+   * 播放全消动画：在画布中央显示彩色闪烁的 "PERFECT CLEAR" 文字
+   */
+  playPerfectClearAnimation() {
+    const canvasRect = this.canvas.getBoundingClientRect();
+
+    const animation = document.createElement("div");
+    animation.className = "perfect-clear-animation";
+    animation.textContent = "PERFECT CLEAR";
+    animation.style.left = `${canvasRect.left + canvasRect.width / 2}px`;
+    animation.style.top = `${canvasRect.top + canvasRect.height / 2}px`;
+    document.body.appendChild(animation);
+
+    // 动画结束后移除元素
+    setTimeout(() => {
+      if (document.body.contains(animation)) {
+        document.body.removeChild(animation);
+      }
+    }, 2000); // 与CSS动画时长一致
+  }
+
+  /**
+   * 播放全消音效（使用 Web Audio 合成的上行琶音，不需要额外的音频文件）
+   */
+  playPerfectClearSound() {
+    if (localStorage.getItem("tetris_sound") == "false") return;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    try {
+      if (!this._audioContext) {
+        this._audioContext = new AudioContextClass();
+      }
+      const ctx = this._audioContext;
+
+      // C 大调琶音：C5、E5、G5、C6
+      [523.25, 659.25, 783.99, 1046.5].forEach((frequency, i) => {
+        const startAt = ctx.currentTime + i * 0.09;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+
+        oscillator.type = "triangle";
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.25, startAt);
+        gain.gain.exponentialRampToValueAtTime(0.001, startAt + 0.4);
+
+        oscillator.connect(gain);
+        gain.connect(ctx.destination);
+        oscillator.start(startAt);
+        oscillator.stop(startAt + 0.4);
+      });
+    } catch (error) {
+      console.error("播放全消音效时出错:", error);
+    }
+  }
+
+  /**
+   * 生成消行提示文字
+   * @param {{lines: number, tSpin: string|null, combo: number, backToBack: number}} clearResult 引擎返回的消行结果
+   * @returns {Array<string>} 提示文字，例如 ["BACK-TO-BACK", "T-SPIN DOUBLE", "3 COMBO"]
+   */
+  getClearLabels({ lines, tSpin, combo, backToBack }) {
+    const labels = [];
+    const lineNames = ["", " SINGLE", " DOUBLE", " TRIPLE"];
+
+    if (tSpin) {
+      const prefix = tSpin === "mini" ? "MINI T-SPIN" : "T-SPIN";
+      labels.push(`${prefix}${lineNames[lines] || ""}`);
+    } else if (lines === 4) {
+      labels.push("TETRIS");
+    }
+
+    // 只有消行时才显示 Back-to-Back 和连击
+    if (lines > 0) {
+      if (backToBack > 0 && (lines === 4 || tSpin)) {
+        labels.unshift("BACK-TO-BACK");
+      }
+      if (combo > 0) {
+        labels.push(`${combo} COMBO`);
+      }
+    }
+
+    return labels;
+  }
+
   /**
    * 显示积分动画
    * @param {number} score 获得的积分
    * @param {number} x 动画显示的X坐标
    * @param {number} y 动画显示的Y坐标
+   * @param {Array<string>} [labels] 分数上方的提示文字
    */
-  showScoreAnimation(score, x, y) {
+  showScoreAnimation(score, x, y, labels = []) {
     // 创建积分动画元素
     const scoreAnimation = document.createElement("div");
     scoreAnimation.className = "score-animation";
     scoreAnimation.textContent = `+${score}`;
 
+    // 在分数上方显示提示文字（如 "T-SPIN DOUBLE"）
+    [...labels].reverse().forEach((label) => {
+      const callout = document.createElement("div");
+      callout.className = "score-callout";
+      callout.textContent = label;
+      scoreAnimation.prepend(callout);
+    });
+
     // 先设置为不可见，防止闪烁
     scoreAnimation.style.opacity = "0";
 
@@ -2399,6 +3224,453 @@ class Board {
     }
   }
 
+  /**
+   * 读取竞速模式的最好成绩
+   * @param {number} lineGoal 目标消行数
+   * @returns {{time: number, splits: Array<number>, bestSplits: Array<number>}|null} 最好成绩，没有时返回 null
+   */
+  loadSprintRecord(lineGoal) {
+    try {
+      const records = JSON.parse(localStorage.getItem(SPRINT_RECORDS_KEY));
+      return (records && records[lineGoal]) || null;
+    } catch (error) {
+      console.error("读取竞速记录失败:", error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存本局竞速成绩：刷新最好时间，并分别记录每一段的最快分段
+   */
+  saveSprintRecord() {
+    let records = {};
+    try {
+      records = JSON.parse(localStorage.getItem(SPRINT_RECORDS_KEY)) || {};
+    } catch (error) {
+      console.error("读取竞速记录失败:", error);
+    }
+
+    const previous = records[this.lineGoal];
+    const bestSplits = this.splits.map((split, i) => {
+      const previousBest = previous && previous.bestSplits[i];
+      return previousBest !== undefined ? Math.min(previousBest, split) : split;
+    });
+
+    this.isNewRecord = !previous || this.gameTime < previous.time;
+    records[this.lineGoal] = this.isNewRecord
+      ? { time: this.gameTime, splits: [...this.splits], bestSplits }
+      : { ...previous, bestSplits };
+
+    localStorage.setItem(SPRINT_RECORDS_KEY, JSON.stringify(records));
+  }
+
+  /**
+   * 获取当前模式最好成绩的显示文字
+   * @returns {string|null} 最好成绩，当前模式不记录成绩或还没有成绩时返回 null
+   */
+  getBestRecordText() {
+    if (this.isSprintMode) {
+      const record = this.loadSprintRecord(this.lineGoal);
+      return record && this.formatPreciseTime(record.time);
+    }
+
+    if (this.isDigMode) {
+      const record = this.loadDigRecord(
+        this.engine.garbageRows,
+        this.engine.messiness
+      );
+      return (
+        record &&
+        `${this.formatPreciseTime(record.time)} (${
+          record.pieces
+        } ${window.i18n.getText("piecesUnit")})`
+      );
+    }
+
+    if (this.isSurvivalMode) {
+      const record = this.loadSurvivalRecord();
+      return (
+        record &&
+        `${this.formatTime(record.time)} (${record.lines} ${window.i18n.getText(
+          "linesUnit"
+        )})`
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * 读取禅模式保存的进度
+   * @returns {{state: Object, time: number, settings: Object}|null} 局面、已用时间和模式选项，没有时返回 null
+   */
+  loadZenSession() {
+    try {
+      return JSON.parse(localStorage.getItem(ZEN_SESSION_KEY)) || null;
+    } catch (error) {
+      console.error("读取禅模式进度失败:", error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存禅模式进度（每个方块出现、暂存、暂停和页面切换到后台或关闭时调用）
+   */
+  saveZenSession() {
+    if (!this.isZenMode || this.isGameOver) return;
+
+    const time = this.getGameTime();
+
+    // 继续标记只对当次选择有效，不保存
+    const settings = { ...GAME_CONFIG.MODE_SETTINGS };
+    delete settings.resume;
+
+    localStorage.setItem(
+      ZEN_SESSION_KEY,
+      JSON.stringify({ state: this.engine.serialize(), time, settings })
+    );
+  }
+
+  /**
+   * 读取生存模式的最好成绩
+   * @returns {{time: number, lines: number}|null} 最好成绩（存活时间和消除行数），没有时返回 null
+   */
+  loadSurvivalRecord() {
+    try {
+      return JSON.parse(localStorage.getItem(SURVIVAL_RECORDS_KEY)) || null;
+    } catch (error) {
+      console.error("读取生存记录失败:", error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存本局生存成绩：存活更久（相同时消行更多）时刷新记录
+   */
+  saveSurvivalRecord() {
+    const previous = this.loadSurvivalRecord();
+
+    this.isNewRecord =
+      !previous ||
+      this.gameTime > previous.time ||
+      (this.gameTime === previous.time && this.lines > previous.lines);
+    if (this.isNewRecord) {
+      localStorage.setItem(
+        SURVIVAL_RECORDS_KEY,
+        JSON.stringify({ time: this.gameTime, lines: this.lines })
+      );
+    }
+  }
+
+  /**
+   * 更新生存模式面板：已消除行数和已升起的垃圾行数
+   */
+  updateSurvivalPanel() {
+    const panel = document.getElementById("survivalPanel");
+    if (!panel) return;
+
+    panel.style.display = this.isSurvivalMode ? "" : "none";
+    if (!this.isSurvivalMode) return;
+
+    const linesElement = document.getElementById("survivalLines");
+    if (linesElement) {
+      linesElement.textContent = this.lines;
+    }
+
+    const risenElement = document.getElementById("survivalRisen");
+    if (risenElement) {
+      risenElement.textContent = this.engine.garbageRisen;
+    }
+  }
+
+  /**
+   * 读取挖掘模式的最好成绩
+   * @param {number} garbageRows 垃圾行数
+   * @param {number} messiness 混乱程度
+   * @returns {{time: number, pieces: number}|null} 最好成绩（用时和使用的方块数），没有时返回 null
+   */
+  loadDigRecord(garbageRows, messiness) {
+    try {
+      const records = JSON.parse(localStorage.getItem(DIG_RECORDS_KEY));
+      return (records && records[`${garbageRows}-${messiness}`]) || null;
+    } catch (error) {
+      console.error("读取挖掘记录失败:", error);
+      return null;
+    }
+  }
+
+  /**
+   * 保存本局挖掘成绩：用时更短（相同时方块更少）时刷新记录
+   */
+  saveDigRecord() {
+    let records = {};
+    try {
+      records = JSON.parse(localStorage.getItem(DIG_RECORDS_KEY)) || {};
+    } catch (error) {
+      console.error("读取挖掘记录失败:", error);
+    }
+
+    const key = `${this.engine.garbageRows}-${this.engine.messiness}`;
+    const previous = records[key];
+    const pieces = this.engine.piecesPlaced;
+
+    this.isNewRecord =
+      !previous ||
+      this.gameTime < previous.time ||
+      (this.gameTime === previous.time && pieces < previous.pieces);
+    if (this.isNewRecord) {
+      records[key] = { time: this.gameTime, pieces };
+      localStorage.setItem(DIG_RECORDS_KEY, JSON.stringify(records));
+    }
+  }
+
+  /**
+   * 更新挖掘面板：剩余垃圾行数和已使用的方块数
+   */
+  updateDigPanel() {
+    const panel = document.getElementById("digPanel");
+    if (!panel) return;
+
+    panel.style.display = this.isDigMode ? "" : "none";
+    if (!this.isDigMode) return;
+
+    const remainingElement = document.getElementById("digRemaining");
+    if (remainingElement) {
+      remainingElement.textContent = `${this.engine.garbageRemaining}/${
+        this.engine.garbageRows
+      }`;
+    }
+
+    const piecesElement = document.getElementById("digPieces");
+    if (piecesElement) {
+      piecesElement.textContent = this.engine.piecesPlaced;
+    }
+  }
+
+  /**
+   * 读取已完成的谜题
+   * @returns {Object<string, boolean>} 以谜题 ID 为键的完成记录
+   */
+  loadPuzzleProgress() {
+    try {
+      return JSON.parse(localStorage.getItem(PUZZLE_PROGRESS_KEY)) || {};
+    } catch (error) {
+      console.error("读取谜题进度失败:", error);
+      return {};
+    }
+  }
+
+  /**
+   * 记录谜题已完成
+   * @param {string} puzzleId 谜题 ID
+   */
+  savePuzzleProgress(puzzleId) {
+    const progress = this.loadPuzzleProgress();
+    progress[puzzleId] = true;
+    localStorage.setItem(PUZZLE_PROGRESS_KEY, JSON.stringify(progress));
+  }
+
+  /**
+   * 加载谜题包文件，完成后重新绘制模式选择界面
+   * @param {string} url 谜题包文件地址
+   */
+  async loadPuzzlePacks(url) {
+    if (this._puzzlePacksLoading) return;
+    this._puzzlePacksLoading = true;
+    this._puzzlePacksError = false;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      this.puzzlePacks = data.packs || [];
+    } catch (error) {
+      console.error("加载谜题包失败:", error);
+      this._puzzlePacksError = true;
+    } finally {
+      this._puzzlePacksLoading = false;
+    }
+
+    this.drawModeSelection();
+  }
+
+  /**
+   * 获取谜题包和谜题名称的当前语言版本
+   * @param {string|Object<string, string>} name 名称，可以是按语言区分的对象
+   * @returns {string} 当前语言的名称，没有时使用英文
+   */
+  getLocalizedName(name) {
+    if (!name || typeof name === "string") return name || "";
+    return name[window.i18n.currentLanguage] || name.en || "";
+  }
+
+  /**
+   * 生成谜题目标的说明文字
+   * @param {Object} goal 谜题目标
+   * @returns {string} 例如 "Clear 4 lines"、"Make a T-SPIN DOUBLE"
+   */
+  getPuzzleGoalText(goal) {
+    switch (goal && goal.type) {
+      case "lines":
+        return window.i18n
+          .getText("puzzleGoalLines")
+          .replace("{count}", goal.count);
+      case "tSpin": {
+        const [clear] = this.getClearLabels({
+          lines: goal.lines,
+          tSpin: goal.tSpin || "full",
+          combo: 0,
+          backToBack: 0,
+        });
+        return window.i18n.getText("puzzleGoalTSpin").replace("{clear}", clear);
+      }
+      case "perfectClear":
+        return window.i18n.getText("puzzleGoalPerfectClear");
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * 更新谜题面板：目标和剩余的方块数（包括当前和暂存的方块）
+   */
+  updatePuzzlePanel() {
+    const panel = document.getElementById("puzzlePanel");
+    if (!panel) return;
+
+    panel.style.display = this.isPuzzleMode ? "" : "none";
+    if (!this.isPuzzleMode) return;
+
+    const goalElement = document.getElementById("puzzleGoal");
+    if (goalElement) {
+      goalElement.textContent = this.getPuzzleGoalText(this.engine.puzzle.goal);
+    }
+
+    const piecesElement = document.getElementById("puzzlePiecesLeft");
+    if (piecesElement) {
+      piecesElement.textContent =
+        this.nextQueue.length +
+        (this.currentPiece ? 1 : 0) +
+        (this.heldPiece ? 1 : 0);
+    }
+  }
+
+  /**
+   * 更新大师模式的段位和面板
+   * 按分数评定 9 级到 S9；每个检查点第一次到达时记录分数和用时是否达到要求，
+   * 全部达到并通关时获得 GM
+   * @param {number} [time] 到达检查点的用时（毫秒），默认为当前游戏时间
+   */
+  updateMasterGrade(time = this.getGameTime()) {
+    const panel = document.getElementById("masterPanel");
+    if (panel) {
+      panel.style.display = this.isMasterMode ? "" : "none";
+    }
+    if (!this.isMasterMode) return;
+
+    const checkpoints = getModeSetting("gmCheckpoints");
+    checkpoints.forEach((checkpoint) => {
+      if (
+        this.level >= checkpoint.level &&
+        !(checkpoint.level in this.gmCheckpoints)
+      ) {
+        this.gmCheckpoints[checkpoint.level] =
+          this.score >= checkpoint.score && time <= checkpoint.time;
+      }
+    });
+
+    const grades = getModeSetting("grades");
+    const reached = grades.filter(([score]) => this.score >= score);
+    const nextGrade = grades[reached.length];
+    this.grade =
+      this.engine.isCleared &&
+      checkpoints.every((checkpoint) => this.gmCheckpoints[checkpoint.level])
+        ? "GM"
+        : reached[reached.length - 1][1];
+
+    const gradeElement = document.getElementById("masterGrade");
+    if (gradeElement) {
+      gradeElement.textContent = this.grade;
+    }
+
+    const nextElement = document.getElementById("masterNextGrade");
+    if (nextElement) {
+      nextElement.textContent = nextGrade ? formatNumber(nextGrade[0]) : "—";
+    }
+
+    const sectionElement = document.getElementById("masterSection");
+    if (sectionElement) {
+      const sectionEnd = Math.min(
+        (Math.floor(this.level / 100) + 1) * 100,
+        this.engine.maxLevel
+      );
+      sectionElement.textContent = `${this.level}/${sectionEnd}`;
+    }
+  }
+
+  /**
+   * 记录新完成的分段时间（每消除 splitLines 行为一段，最后一段到目标为止）
+   * @param {number} [time] 完成分段的用时（毫秒），默认为当前游戏时间
+   */
+  recordSplits(time = this.getGameTime()) {
+    if (!this.splitLines) return;
+
+    const completed = Math.min(
+      Math.floor(this.lines / this.splitLines),
+      Math.ceil(this.lineGoal / this.splitLines)
+    );
+
+    while (this.splits.length < completed) {
+      this.splits.push(time - this.splits.reduce((sum, t) => sum + t, 0));
+    }
+    if (this.engine.isCleared && this.lineGoal % this.splitLines !== 0) {
+      this.splits.push(time - this.splits.reduce((sum, t) => sum + t, 0));
+    }
+  }
+
+  /**
+   * 更新竞速面板：已消除行数和各段用时（与最快分段比较）
+   */
+  updateSprintPanel() {
+    const panel = document.getElementById("sprintPanel");
+    if (!panel) return;
+
+    panel.style.display = this.isSprintMode ? "" : "none";
+    if (!this.isSprintMode) return;
+
+    const linesElement = document.getElementById("sprintLines");
+    if (linesElement) {
+      linesElement.textContent = `${Math.min(this.lines, this.lineGoal)}/${
+        this.lineGoal
+      }`;
+    }
+
+    const splitsElement = document.getElementById("sprintSplits");
+    if (!splitsElement) return;
+
+    const record = this.loadSprintRecord(this.lineGoal);
+    splitsElement.innerHTML = "";
+    this.splits.forEach((split, i) => {
+      const item = document.createElement("li");
+      const endLine = Math.min((i + 1) * this.splitLines, this.lineGoal);
+      let text = `${endLine}: ${this.formatPreciseTime(split)}`;
+
+      const best = record ? record.bestSplits[i] : undefined;
+      if (best !== undefined) {
+        const delta = split - best;
+        text += ` (${delta <= 0 ? "-" : "+"}${(Math.abs(delta) / 1000).toFixed(
+          2
+        )})`;
+        item.className = delta <= 0 ? "split-ahead" : "split-behind";
+      }
+
+      item.textContent = text;
+      splitsElement.appendChild(item);
+    });
+  }
+
   /**
    * 更新历史最高分显示
    */
@@ -2435,114 +3707,77 @@ class Board {
       this.canvas.height / 6
     );
 
-    // 绘制副标题
+    // 绘制副标题（进入模式选项页时显示模式名称，谜题包中显示包名）
     this.ctx.font = "bold 20px Arial";
     this.ctx.fillStyle = "#3498db";
     this.ctx.fillText(
-      window.i18n.getText("selectGameMode"),
+      this._puzzlePack
+        ? this.getLocalizedName(this._puzzlePack.name)
+        : window.i18n.getText(
+            this._startLevelSettings
+              ? "startLevel"
+              : this._modeMenuEntry
+              ? this._modeMenuEntry.label
+              : "selectGameMode"
+          ),
       this.canvas.width / 2,
       this.canvas.height / 6 + 40
     );
 
-    // 定义模式按钮的尺寸和位置
-    const btnWidth = 210;
-    const btnHeight = 50;
-    const btnSpacing = 30;
-    const startY = this.canvas.height / 2 - btnHeight - btnSpacing; // 调整起始位置以适应三个按钮
-
-    // 标准模式按钮
-    const standardBtnX = this.canvas.width / 2 - btnWidth / 2;
-    const standardBtnY = startY;
-
-    // 疯狂模式按钮
-    const crazyBtnX = this.canvas.width / 2 - btnWidth / 2;
-    const crazyBtnY = startY + btnHeight + btnSpacing;
-
-    // 限时模式按钮
-    const timedBtnX = this.canvas.width / 2 - btnWidth / 2;
-    const timedBtnY = startY + (btnHeight + btnSpacing) * 2;
-
-    // 检查鼠标是否在按钮上
-    const isStandardHovered = this._isMouseOverButton(
-      standardBtnX,
-      standardBtnY,
-      btnWidth,
-      btnHeight,
-      this.lastMouseX,
-      this.lastMouseY
-    );
-    const isCrazyHovered = this._isMouseOverButton(
-      crazyBtnX,
-      crazyBtnY,
-      btnWidth,
-      btnHeight,
-      this.lastMouseX,
-      this.lastMouseY
-    );
-    const isTimedHovered = this._isMouseOverButton(
-      timedBtnX,
-      timedBtnY,
-      btnWidth,
-      btnHeight,
-      this.lastMouseX,
-      this.lastMouseY
-    );
-
-    // 绘制标准模式按钮
-    this._drawModeButton(
-      standardBtnX,
-      standardBtnY,
-      btnWidth,
-      btnHeight,
-      window.i18n.getText("standardMode"),
-      isStandardHovered,
-      "#2196F3",
-      "#1976D2"
-    );
-
-    // 绘制疯狂模式按钮
-    this._drawModeButton(
-      crazyBtnX,
-      crazyBtnY,
-      btnWidth,
-      btnHeight,
-      window.i18n.getText("crazyMode"),
-      isCrazyHovered,
-      "#e74c3c",
-      "#c0392b"
-    );
+    // 计算按钮布局：按钮较多时缩小按钮并分成两列（起始等级等很多按钮时分成四列）
+    const items = this.getModeMenuItems();
+    const columns = items.length > 12 ? 4 : items.length > 6 ? 2 : 1;
+    const rowCount = Math.ceil(items.length / columns);
+    const areaTop = this.canvas.height / 6 + 70;
+    const areaBottom = this.canvas.height - 110;
+    const slotHeight = Math.min(80, (areaBottom - areaTop) / rowCount);
+    const btnHeight = Math.min(50, slotHeight * 0.75);
+    const btnSpacing = slotHeight - btnHeight;
+    const btnWidth =
+      columns === 1 ? 210 : Math.min(180, this.canvas.width / columns - 20);
+    const startY =
+      areaTop + (areaBottom - areaTop - (rowCount * slotHeight - btnSpacing)) / 2;
+
+    this._modeButtons = items.map((item, index) => {
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      const columnWidth = this.canvas.width / columns;
+      return {
+        item,
+        x: columnWidth * column + columnWidth / 2 - btnWidth / 2,
+        y: startY + row * slotHeight,
+        width: btnWidth,
+        height: btnHeight,
+      };
+    });
 
-    // 绘制限时模式按钮
-    this._drawModeButton(
-      timedBtnX,
-      timedBtnY,
-      btnWidth,
-      btnHeight,
-      window.i18n.getText("timedMode"),
-      isTimedHovered,
-      "#9b59b6",
-      "#8e44ad"
-    );
+    // 绘制模式按钮
+    const hoveredButton = this._findModeButton(this.lastMouseX, this.lastMouseY);
+    this._modeButtons.forEach((button) => {
+      this._drawModeButton(
+        button.x,
+        button.y,
+        button.width,
+        button.height,
+        button.item.text,
+        button === hoveredButton,
+        button.item.colors[0],
+        button.item.colors[1]
+      );
+    });
 
     // 绘制模式说明背景
-    const explanationY = timedBtnY + btnHeight + 40;
+    const lastButton = this._modeButtons[this._modeButtons.length - 1];
+    const explanationY = lastButton.y + btnHeight + 40;
     this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
     this.ctx.fillRect(this.canvas.width / 2 - 200, explanationY - 20, 400, 60);
 
     // 绘制模式说明文本
     this.ctx.font = "18px Arial";
     this.ctx.fillStyle = "#f8f8f8";
-    let explanationText = "";
-
-    if (isStandardHovered) {
-      explanationText = window.i18n.getText("standardModeExplanation");
-    } else if (isCrazyHovered) {
-      explanationText = window.i18n.getText("crazyModeExplanation");
-    } else if (isTimedHovered) {
-      explanationText = window.i18n.getText("timedModeExplanation");
-    } else {
-      explanationText = window.i18n.getText("defaultModeExplanation");
-    }
+    const explanationText = hoveredButton
+      ? hoveredButton.item.explanation
+      : window.i18n.getText("defaultModeExplanation");
 
     if (document.body.clientWidth >= 768) {
       // 设置文本居中对齐
@@ -2580,10 +3815,7 @@ class Board {
     }
 
     // 设置鼠标样式
-    this.canvas.style.cursor =
-      isStandardHovered || isCrazyHovered || isTimedHovered
-        ? "pointer"
-        : "default";
+    this.canvas.style.cursor = hoveredButton ? "pointer" : "default";
 
     // 移除旧的事件监听器
     this._removeEventListeners();
@@ -2598,36 +3830,7 @@ class Board {
       this.lastMouseX = x;
       this.lastMouseY = y;
 
-      const currentStandardHovered = this._isMouseOverButton(
-        standardBtnX,
-        standardBtnY,
-        btnWidth,
-        btnHeight,
-        x,
-        y
-      );
-      const currentCrazyHovered = this._isMouseOverButton(
-        crazyBtnX,
-        crazyBtnY,
-        btnWidth,
-        btnHeight,
-        x,
-        y
-      );
-      const currentTimedHovered = this._isMouseOverButton(
-        timedBtnX,
-        timedBtnY,
-        btnWidth,
-        btnHeight,
-        x,
-        y
-      );
-
-      if (
-        currentStandardHovered !== isStandardHovered ||
-        currentCrazyHovered !== isCrazyHovered ||
-        currentTimedHovered !== isTimedHovered
-      ) {
+      if (this._findModeButton(x, y) !== hoveredButton) {
         requestAnimationFrame(() => this.drawModeSelection());
       }
     };
@@ -2641,28 +3844,12 @@ class Board {
       }
 
       const rect = this.canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-
-      if (
-        this._isMouseOverButton(
-          standardBtnX,
-          standardBtnY,
-          btnWidth,
-          btnHeight,
-          x,
-          y
-        )
-      ) {
-        this._selectGameMode("STANDARD");
-      } else if (
-        this._isMouseOverButton(crazyBtnX, crazyBtnY, btnWidth, btnHeight, x, y)
-      ) {
-        this._selectGameMode("CRAZY");
-      } else if (
-        this._isMouseOverButton(timedBtnX, timedBtnY, btnWidth, btnHeight, x, y)
-      ) {
-        this._selectGameMode("TIMED");
+      const button = this._findModeButton(
+        e.clientX - rect.left,
+        e.clientY - rect.top
+      );
+      if (button) {
+        button.item.onSelect();
       }
     };
 
@@ -2675,28 +3862,12 @@ class Board {
 
       const rect = this.canvas.getBoundingClientRect();
       const touch = e.changedTouches[0];
-      const x = touch.clientX - rect.left;
-      const y = touch.clientY - rect.top;
-
-      if (
-        this._isMouseOverButton(
-          standardBtnX,
-          standardBtnY,
-          btnWidth,
-          btnHeight,
-          x,
-          y
-        )
-      ) {
-        this._selectGameMode("STANDARD");
-      } else if (
-        this._isMouseOverButton(crazyBtnX, crazyBtnY, btnWidth, btnHeight, x, y)
-      ) {
-        this._selectGameMode("CRAZY");
-      } else if (
-        this._isMouseOverButton(timedBtnX, timedBtnY, btnWidth, btnHeight, x, y)
-      ) {
-        this._selectGameMode("TIMED");
+      const button = this._findModeButton(
+        touch.clientX - rect.left,
+        touch.clientY - rect.top
+      );
+      if (button) {
+        button.item.onSelect();
       }
     };
 
@@ -2704,18 +3875,282 @@ class Board {
     this.canvas.addEventListener("mousemove", this._mouseMoveHandler);
     this.canvas.addEventListener("click", this._startClickHandler);
     this.canvas.addEventListener("touchend", this._startTouchHandler);
+  }
 
-    // 保存按钮位置信息
-    this._modeButtonsInfo = {
-      standard: {
-        x: standardBtnX,
-        y: standardBtnY,
-        width: btnWidth,
-        height: btnHeight,
+  /**
+   * 获取模式选择界面当前显示的按钮
+   * 主界面列出所有模式；有选项的模式（如竞速模式的目标行数）点击后进入选项页，
+   * 可以选择起始等级的模式最后进入等级选择页
+   * @returns {Array<{text: string, explanation: string, colors: Array<string>, onSelect: Function}>} 按钮列表
+   */
+  getModeMenuItems() {
+    const entry = this._modeMenuEntry;
+
+    if (!entry) {
+      return MODE_MENU.map((menuEntry) => ({
+        text: window.i18n.getText(menuEntry.label),
+        explanation: window.i18n.getText(menuEntry.explanation),
+        colors: menuEntry.colors,
+        onSelect: () => {
+          this._modeMenuEntry = menuEntry;
+          if (this.getModeOptionItems(menuEntry).length > 0) {
+            this.drawModeSelection();
+          } else {
+            this._selectModeOptions(menuEntry.mode);
+          }
+        },
+      }));
+    }
+
+    return [
+      ...(this._startLevelSettings
+        ? this.getStartLevelItems(entry)
+        : this.getModeOptionItems(entry)),
+      {
+        text: window.i18n.getText("backBtn"),
+        explanation: window.i18n.getText(entry.explanation),
+        colors: ["#7f8c8d", "#616a6b"],
+        onSelect: () => {
+          // 谜题包中先返回谜题包列表，等级选择页先返回模式的选项页（没有选项时返回主界面）
+          if (this._puzzlePack) {
+            this._puzzlePack = null;
+          } else if (
+            this._startLevelSettings &&
+            this.getModeOptionItems(entry).length > 0
+          ) {
+            this._startLevelSettings = null;
+          } else {
+            this._startLevelSettings = null;
+            this._modeMenuEntry = null;
+          }
+          this.drawModeSelection();
+        },
       },
-      crazy: { x: crazyBtnX, y: crazyBtnY, width: btnWidth, height: btnHeight },
-      timed: { x: timedBtnX, y: timedBtnY, width: btnWidth, height: btnHeight },
-    };
+    ];
+  }
+
+  /**
+   * 获取模式的选项按钮
+   * @param {Object} entry MODE_MENU 中的模式
+   * @returns {Array<Object>} 选项按钮列表，没有选项时为空数组
+   */
+  getModeOptionItems(entry) {
+    const modeConfig = GAME_CONFIG.GAME_MODES[entry.mode];
+
+    // 竞速模式：选择目标消行数，说明中显示该目标的最好成绩
+    if (modeConfig.lineGoals) {
+      return modeConfig.lineGoals.map((lineGoal) => {
+        const record = this.loadSprintRecord(lineGoal);
+        return {
+          text: `${lineGoal} ${window.i18n.getText("linesUnit")}`,
+          explanation: record
+            ? `${window.i18n.getText("bestTime")}: ${this.formatPreciseTime(
+                record.time
+              )}`
+            : window.i18n.getText(entry.explanation),
+          colors: entry.colors,
+          onSelect: () => this._selectGameMode(entry.mode, { lineGoal }),
+        };
+      });
+    }
+
+    // 挖掘模式：选择垃圾行数和混乱程度，说明中显示该组合的最好成绩
+    if (modeConfig.digPresets) {
+      return modeConfig.digPresets.map((preset) => {
+        const record = this.loadDigRecord(
+          preset.garbageRows,
+          preset.messiness
+        );
+        return {
+          text: `${preset.garbageRows} ${window.i18n.getText(
+            "rowsUnit"
+          )} · ${window.i18n.getText(
+            preset.messiness >= 1 ? "messyGarbage" : "cleanGarbage"
+          )}`,
+          explanation: record
+            ? `${window.i18n.getText("bestTime")}: ${this.formatPreciseTime(
+                record.time
+              )} (${record.pieces} ${window.i18n.getText("piecesUnit")})`
+            : window.i18n.getText(entry.explanation),
+          colors: entry.colors,
+          onSelect: () => this._selectGameMode(entry.mode, { ...preset }),
+        };
+      });
+    }
+
+    // 禅模式：继续上次的进度，或开始有重力/没有重力的新一局
+    if (modeConfig.saveSession) {
+      const session = this.loadZenSession();
+      const items = [
+        {
+          text: window.i18n.getText("gravityOn"),
+          explanation: window.i18n.getText(entry.explanation),
+          colors: entry.colors,
+          onSelect: () => this._selectGameMode(entry.mode),
+        },
+        {
+          text: window.i18n.getText("gravityOff"),
+          explanation: window.i18n.getText("gravityOffExplanation"),
+          colors: entry.colors,
+          onSelect: () => this._selectGameMode(entry.mode, { gravity: 0 }),
+        },
+      ];
+
+      if (session) {
+        items.unshift({
+          text: window.i18n.getText("continueSession"),
+          explanation: `${window.i18n.getText("score")}: ${
+            session.state.score
+          } · ${window.i18n.getText("lines")}: ${session.state.lines}`,
+          colors: entry.colors,
+          onSelect: () =>
+            this._selectGameMode(entry.mode, {
+              ...session.settings,
+              resume: true,
+            }),
+        });
+      }
+      return items;
+    }
+
+    // 马拉松模式：通关模式或不设终点的无尽模式
+    if (modeConfig.endlessVariant) {
+      return [
+        {
+          text: `${window.i18n.getText("level")} ${modeConfig.levelGoal}`,
+          explanation: window.i18n.getText(entry.explanation),
+          colors: entry.colors,
+          onSelect: () => this._selectModeOptions(entry.mode),
+        },
+        {
+          text: window.i18n.getText("endlessMode"),
+          explanation: window.i18n.getText("endlessModeExplanation"),
+          colors: entry.colors,
+          onSelect: () =>
+            this._selectModeOptions(entry.mode, { levelGoal: null }),
+        },
+      ];
+    }
+
+    // 谜题模式：先选择谜题包，再选择其中的谜题，已完成的谜题带有标记
+    if (modeConfig.packsUrl) {
+      return this.getPuzzleMenuItems(entry, modeConfig.packsUrl);
+    }
+
+    return [];
+  }
+
+  /**
+   * 获取起始等级选择页的按钮，说明中显示第一次升级需要消除的行数
+   * @param {Object} entry MODE_MENU 中的模式
+   * @returns {Array<Object>} 每个可选等级一个按钮
+   */
+  getStartLevelItems(entry) {
+    const modeConfig = GAME_CONFIG.GAME_MODES[entry.mode];
+    const { linesPerLevel } = getScoringPreset(modeConfig.scoring);
+
+    return Array.from({ length: modeConfig.maxStartLevel }, (_, i) => {
+      const startLevel = i + 1;
+      return {
+        text: `${startLevel}`,
+        explanation: window.i18n
+          .getText("startLevelExplanation")
+          .replace("{level}", startLevel)
+          .replace(
+            "{lines}",
+            getFirstLevelUpLines(startLevel, linesPerLevel)
+          ),
+        colors: entry.colors,
+        onSelect: () =>
+          this._selectGameMode(entry.mode, {
+            ...this._startLevelSettings,
+            startLevel,
+          }),
+      };
+    });
+  }
+
+  /**
+   * 获取谜题模式的选项按钮
+   * 谜题包还没有加载时先开始加载，并显示加载中（或加载失败，点击重试）
+   * @param {Object} entry MODE_MENU 中的模式
+   * @param {string} packsUrl 谜题包文件地址
+   * @returns {Array<Object>} 谜题包或当前谜题包中谜题的按钮列表
+   */
+  getPuzzleMenuItems(entry, packsUrl) {
+    if (!this.puzzlePacks) {
+      if (!this._puzzlePacksLoading && !this._puzzlePacksError) {
+        this.loadPuzzlePacks(packsUrl);
+      }
+      return [
+        {
+          text: window.i18n.getText(
+            this._puzzlePacksError ? "puzzlePacksError" : "loading"
+          ),
+          explanation: window.i18n.getText(entry.explanation),
+          colors: ["#7f8c8d", "#616a6b"],
+          onSelect: () => {
+            if (this._puzzlePacksError) {
+              this.loadPuzzlePacks(packsUrl);
+              this.drawModeSelection();
+            }
+          },
+        },
+      ];
+    }
+
+    const progress = this.loadPuzzleProgress();
+
+    if (!this._puzzlePack) {
+      return this.puzzlePacks.map((pack) => {
+        const solved = pack.puzzles.filter((puzzle) => progress[puzzle.id])
+          .length;
+        return {
+          text: `${this.getLocalizedName(pack.name)} (${solved}/${
+            pack.puzzles.length
+          })`,
+          explanation: window.i18n.getText(entry.explanation),
+          colors: entry.colors,
+          onSelect: () => {
+            this._puzzlePack = pack;
+            this.drawModeSelection();
+          },
+        };
+      });
+    }
+
+    return this._puzzlePack.puzzles.map((puzzle, index) => ({
+      text: `${index + 1}. ${this.getLocalizedName(puzzle.name)}${
+        progress[puzzle.id] ? " ✓" : ""
+      }`,
+      explanation: this.getPuzzleGoalText(puzzle.goal),
+      colors: progress[puzzle.id] ? ["#27ae60", "#1e8449"] : entry.colors,
+      onSelect: () => this._selectGameMode(entry.mode, { puzzle }),
+    }));
+  }
+
+  /**
+   * 查找指定位置的模式按钮
+   * @param {number} x 画布上的X坐标
+   * @param {number} y 画布上的Y坐标
+   * @returns {Object|null} 按钮信息，不在任何按钮上时返回 null
+   * @private
+   */
+  _findModeButton(x, y) {
+    if (!this._modeButtons) return null;
+
+    return (
+      this._modeButtons.find((button) =>
+        this._isMouseOverButton(
+          button.x,
+          button.y,
+          button.width,
+          button.height,
+          x,
+          y
+        )
+      ) || null
+    );
   }
 
   /**
@@ -2750,8 +4185,9 @@ class Board {
 
     // 绘制按钮背景
     this.ctx.fillStyle = gradient;
+    const radius = Math.min(25, height / 2);
     this.ctx.beginPath();
-    this.ctx.roundRect(x, y, width, height, 25);
+    this.ctx.roundRect(x, y, width, height, radius);
     this.ctx.fill();
 
     // 绘制按钮边框
@@ -2759,13 +4195,13 @@ class Board {
       this.ctx.strokeStyle = "#fff";
       this.ctx.lineWidth = 2;
       this.ctx.beginPath();
-      this.ctx.roundRect(x, y, width, height, 25);
+      this.ctx.roundRect(x, y, width, height, radius);
       this.ctx.stroke();
     }
 
     // 绘制按钮文字
     this.ctx.fillStyle = "#fff";
-    this.ctx.font = "bold 22px Arial";
+    this.ctx.font = `bold ${Math.min(22, Math.round(height * 0.45))}px Arial`; // 按钮较小时缩小文字
     this.ctx.shadowColor = "transparent"; // 移除文字阴影
     this.ctx.fillText(text, x + width / 2, y + height / 2);
 
@@ -2783,7 +4219,7 @@ class Board {
 
       this.ctx.fillStyle = highlight;
       this.ctx.beginPath();
-      this.ctx.roundRect(x + 2, y + 2, width - 4, height * 0.4 - 2, 22);
+      this.ctx.roundRect(x + 2, y + 2, width - 4, height * 0.4 - 2, radius - 3);
       this.ctx.fill();
     }
   }
@@ -2834,23 +4270,42 @@ class Board {
     }
   }
 
+  /**
+   * 选择模式选项后开始游戏，可以选择起始等级的模式先进入等级选择页
+   * @param {string} mode 游戏模式
+   * @param {Object} [settings] 玩家已选择的模式选项
+   * @private
+   */
+  _selectModeOptions(mode, settings = {}) {
+    if (GAME_CONFIG.GAME_MODES[mode].maxStartLevel) {
+      this._startLevelSettings = settings;
+      this.drawModeSelection();
+    } else {
+      this._selectGameMode(mode, settings);
+    }
+  }
+
   /**
    * 选择游戏模式并开始游戏
    * @param {string} mode 游戏模式
+   * @param {Object} [settings] 玩家选择的模式选项
    * @private
    */
-  _selectGameMode(mode) {
+  _selectGameMode(mode, settings) {
     console.log(`选择了游戏模式: ${mode}`);
 
     // 移除事件监听器
     this._removeEventListeners();
+    this._modeMenuEntry = null;
+    this._puzzlePack = null;
+    this._startLevelSettings = null;
 
     // 重置鼠标样式
     this.canvas.style.cursor = "default";
 
     // 设置游戏模式
     if (window.setGameMode) {
-      window.setGameMode(mode);
+      window.setGameMode(mode, settings);
     }
 
     // 触发游戏开始
@@ -0,0 +1,1122 @@
+/**
+ * 游戏规则引擎
+ * 不依赖 DOM 的纯逻辑对象：负责网格、当前/下一个/暂存方块、得分、消行和等级。
+ * 浏览器中由 Board 负责渲染、音效和动画；在 Node 中可以直接运行，
+ * 用于模拟、机器人和服务端分数校验，保证与浏览器使用完全相同的规则。
+ */
+
+// Node 环境下加载依赖（浏览器中由 <script> 标签提供全局变量）
+if (typeof window === "undefined" && typeof require === "function") {
+  Object.assign(globalThis, require("./utils.js"));
+  Object.assign(globalThis, require("./tetromino.js"));
+}
+
+class TetrisEngine {
+  /**
+   * 创建规则引擎
+   * @param {Object} [options] 引擎选项
+   * @param {number} [options.seed] 固定的随机种子（用于回放和每日挑战），默认每局随机
+   * @param {string} [options.randomizer] 方块生成策略，默认使用当前游戏模式的配置
+   * @param {string} [options.scoring] 计分规则（SCORING_PRESETS 中的键），默认使用当前游戏模式的配置
+   * @param {number} [options.scale] 方块放大倍数（Big 模式为 2），网格的列数、行数和缓冲区按倍数缩小，默认为 1
+   * @param {number} [options.cols] 面板列数，默认使用当前游戏模式的配置
+   * @param {number} [options.rows] 面板行数，默认使用当前游戏模式的配置
+   * @param {number} [options.bufferRows] 可见区域上方隐藏缓冲区的行数，默认使用 GAME_CONFIG.BUFFER_ROWS
+   * @param {number} [options.gravity] 固定的重力（G，每帧下落的格数，0 表示没有重力），默认使用玩家为当前模式选择的设置，否则按等级计算
+   * @param {number} [options.startLevel] 起始等级（决定初始速度，并按 NES 规则推迟第一次升级），默认使用玩家为当前模式选择的等级，否则为 1
+   * @param {boolean} [options.noTopOut] 堆到顶部时清空上方的行而不是结束游戏（禅模式），默认使用当前游戏模式的配置
+   * @param {number} [options.lineGoal] 目标消行数，达到后游戏结束（竞速模式），默认使用当前游戏模式的配置
+   * @param {number} [options.garbageRows] 开局时底部的垃圾行数，全部消除后通关（挖掘模式），默认使用当前游戏模式的配置
+   * @param {number} [options.messiness] 垃圾行缺口换位的概率（0～1），默认使用当前游戏模式的配置
+   * @param {number} [options.garbageInterval] 垃圾行从底部升起的初始间隔（毫秒），0 表示不升起（生存模式），默认使用当前游戏模式的配置
+   * @param {Object} [options.puzzle] 谜题（初始场地、固定的方块序列、是否可暂存和目标），默认使用玩家为当前模式选择的谜题
+   * @param {string} [options.hold] 暂存规则："off"、"standard" 或 "unlimited"，默认使用当前游戏模式的配置
+   * @param {number} [options.lockDelay] 锁定延迟（毫秒），默认使用当前游戏模式的延迟曲线，否则使用 GAME_CONFIG.LOCK_DELAY
+   * @param {number} [options.maxLockResets] 锁定计时最多重置次数
+   * @param {string} [options.lockResetMode] 锁定计时重置方式："move" 或 "step"，默认使用当前游戏模式的配置
+   * @param {Function} [options.clock] 返回当前时间（毫秒）的函数，用于记录格子的固定时间，默认使用 Date.now
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.reset();
+  }
+
+  /**
+   * 获取当前时间，用于记录格子的固定时间
+   * @returns {number} 当前时间（毫秒），默认为时间戳
+   */
+  getTime() {
+    return this.options.clock ? this.options.clock() : Date.now();
+  }
+
+  /**
+   * 重置引擎状态
+   * @param {number} [seed] 本局使用的随机种子，默认使用选项中的种子或随机生成
+   */
+  reset(seed) {
+    // 创建方块随机生成器（相同种子和策略得到相同的方块序列）
+    const modeConfig = GAME_CONFIG.GAME_MODES[GAME_CONFIG.CURRENT_MODE];
+    this.seed =
+      seed !== undefined
+        ? seed
+        : this.options.seed !== undefined
+        ? this.options.seed
+        : generateSeed();
+    this.randomizer = createRandomizer(
+      this.options.randomizer || modeConfig.randomizer,
+      this.seed
+    );
+    this.piecesGenerated = 0; // 已从随机生成器取出的方块数，恢复局面时用来重现生成器状态
+
+    // 计分规则
+    this.scoringType = this.options.scoring || modeConfig.scoring || "CLASSIC";
+    this.scoring = getScoringPreset(this.scoringType);
+
+    // 面板尺寸（每个模式可以有自己的宽度和高度）
+    // Big 模式的每个逻辑格子显示为 scale × scale 格，网格按倍数缩小，移动也以 scale 格为单位
+    const boardSize = getBoardSize();
+    this.scale = this.options.scale || 1;
+    this.cols = Math.floor((this.options.cols || boardSize.cols) / this.scale);
+    this.rows = Math.floor((this.options.rows || boardSize.rows) / this.scale);
+    this.bufferRows = Math.floor(
+      (this.options.bufferRows !== undefined
+        ? this.options.bufferRows
+        : GAME_CONFIG.BUFFER_ROWS) / this.scale
+    );
+
+    // 创建空白游戏网格：前 bufferRows 行是可见区域上方的隐藏缓冲区，
+    // 方块坐标和网格行号都包含缓冲区，可见区域从第 bufferRows 行开始
+    this.grid = create2DArray(this.bufferRows + this.rows, this.cols, null);
+
+    // 初始化游戏数据
+    this.score = 0;
+    this.lines = 0;
+    this.startLevel =
+      this.options.startLevel || getModeSetting("startLevel") || 1;
+    // 大师模式从 0 级开始，每出现一个方块和每消除一行升一级，到达最高等级时通关
+    this.levelPerPiece = Boolean(getModeSetting("levelPerPiece"));
+    this.maxLevel = getModeSetting("maxLevel") || null;
+    this.level = this.levelPerPiece ? 0 : this.startLevel;
+    this.combo = -1; // 连续消行的连击数，-1 表示没有连击
+    this.backToBack = -1; // 连续高难度消行的次数，大于 0 时获得 Back-to-Back 奖励
+    this.perfectClears = 0; // 本局全消次数
+    this.lineGoal =
+      this.options.lineGoal !== undefined
+        ? this.options.lineGoal
+        : getModeSetting("lineGoal") || null;
+    this.levelGoal = getModeSetting("levelGoal") || null; // 完成该等级后通关（马拉松模式）
+    this.isCleared = false; // 是否达成了模式目标
+    this.piecesPlaced = 0; // 本局已固定的方块数
+    this.updateSpeed();
+
+    // 垃圾行（挖掘模式开局铺满底部，全部消除后通关）
+    this.garbageRandom = createSeededRandom(this.seed ^ 0x9e3779b9);
+    this.garbageHole = null; // 上一行垃圾的缺口所在列
+    this.messiness =
+      this.options.messiness !== undefined
+        ? this.options.messiness
+        : getModeSetting("messiness") || 0;
+    this.garbageRows = Math.ceil(
+      (this.options.garbageRows !== undefined
+        ? this.options.garbageRows
+        : getModeSetting("garbageRows") || 0) / this.scale
+    );
+    this.createGarbageRows(this.garbageRows).forEach((row, i) => {
+      this.grid[this.grid.length - this.garbageRows + i] = row;
+    });
+    this.garbageRemaining = this.garbageRows; // 剩余未消除的垃圾行数
+
+    // 谜题模式：从底部载入初始场地，方块只使用谜题给定的序列
+    this.puzzle = this.options.puzzle || getModeSetting("puzzle") || null;
+    if (this.puzzle) {
+      this.loadPuzzleGrid(this.puzzle.grid || []);
+    }
+
+    // 每个格子被固定的时间（毫秒，按 getTime 计时），与 grid 一一对应，空格为 null
+    // 规则不依赖它，渲染时用来实现渐隐和隐形挑战
+    const now = this.getTime();
+    this.lockTimes = this.grid.map((row) =>
+      row.map((cell) => (cell !== null ? now : null))
+    );
+
+    // 升起的垃圾行（生存模式按计时从底部插入，间隔逐渐缩短）
+    this.garbageInterval =
+      this.options.garbageInterval !== undefined
+        ? this.options.garbageInterval
+        : getModeSetting("garbageInterval") || 0;
+    this.garbageTimer = 0; // 距离上次升起经过的时间（毫秒）
+    this.garbageRisen = 0; // 本局已升起的垃圾行数
+
+    // 初始化方块
+    this.currentPiece = null;
+    this.nextQueue = this.puzzle
+      ? this.puzzle.pieces.map((type) => new Tetromino(type))
+      : []; // 即将出现的方块队列（始终保持最大预览数量，谜题为剩余的全部方块）
+    this.fillNextQueue();
+    this.holdRule = this.puzzle
+      ? this.puzzle.hold
+        ? "standard"
+        : "off"
+      : this.options.hold || modeConfig.hold || "standard";
+    this.heldPiece = null;
+    this.canHold = this.holdRule !== "off";
+
+    // 锁定延迟设置
+    const lockConfig = GAME_CONFIG.LOCK_DELAY;
+    this.lockDelay =
+      this.options.lockDelay !== undefined
+        ? this.options.lockDelay
+        : lockConfig.DELAY;
+    this.maxLockResets =
+      this.options.maxLockResets !== undefined
+        ? this.options.maxLockResets
+        : lockConfig.MAX_RESETS;
+    this.lockResetMode =
+      this.options.lockResetMode ||
+      getModeSetting("lockResetMode") ||
+      lockConfig.RESET_MODE;
+    this.resetLockDelay();
+    this.updateDelays();
+
+    // T-Spin 判定状态
+    this.lastMoveWasRotation = false; // 最后一次成功的操作是否为旋转
+    this.lastTSpin = null; // 最近一次固定的方块的 T-Spin 类型，等待消行时计分
+    this.softDropRows = 0; // 当前方块软降的格数（TGM 计分使用）
+
+    // 游戏状态
+    this.isGameOver = false;
+    this.topOut = null; // 游戏结束的原因：blockOut、lockOut 或 garbage
+    this.noTopOut =
+      this.options.noTopOut !== undefined
+        ? this.options.noTopOut
+        : !!modeConfig.noTopOut;
+    this.topOutClears = 0; // 没有 Top out 的模式中清空上方行的次数
+  }
+
+  /**
+   * 为新的当前方块重置锁定延迟状态
+   */
+  resetLockDelay() {
+    this.lockTimer = 0; // 触底后已经过的时间（毫秒）
+    this.lockResets = 0; // 已使用的重置次数
+    this.isLocking = false; // 是否正处于触底等待锁定的状态
+    this.lowestY = this.currentPiece ? this.currentPiece.y : -Infinity;
+  }
+
+  /**
+   * 判断当前方块是否已经触底（无法继续下落）
+   * @returns {boolean} 是否触底
+   */
+  isPieceGrounded() {
+    if (!this.currentPiece) return false;
+
+    const { shape, x, y } = this.currentPiece;
+    return !isValidMove(this.grid, shape, x, y + 1);
+  }
+
+  /**
+   * 方块成功移动或旋转后更新锁定计时
+   * 下落到更低的行总是重置计时和次数；移动重置模式下，触底时的移动/旋转也会重置计时
+   */
+  onPieceMoved() {
+    const piece = this.currentPiece;
+
+    if (piece.y > this.lowestY) {
+      this.lowestY = piece.y;
+      this.lockTimer = 0;
+      this.lockResets = 0;
+      return;
+    }
+
+    if (
+      this.lockResetMode === "move" &&
+      this.isLocking &&
+      this.lockResets < this.maxLockResets
+    ) {
+      this.lockTimer = 0;
+      this.lockResets++;
+    }
+  }
+
+  /**
+   * 推进锁定延迟计时
+   * @param {number} deltaTime 距离上次更新经过的时间（毫秒）
+   * @returns {boolean} 当前方块是否应该固定
+   */
+  updateLockDelay(deltaTime) {
+    if (this.isGameOver || !this.currentPiece) return false;
+
+    // 方块离开地面时暂停计时
+    if (!this.isPieceGrounded()) {
+      this.isLocking = false;
+      return false;
+    }
+
+    this.isLocking = true;
+
+    // 移动重置次数用完后触底立即固定
+    if (
+      this.lockResetMode === "move" &&
+      this.lockResets >= this.maxLockResets
+    ) {
+      return true;
+    }
+
+    this.lockTimer += deltaTime;
+    return this.lockTimer >= this.lockDelay;
+  }
+
+  /**
+   * 根据当前等级更新出现延迟、消行延迟和锁定延迟（大师模式随等级缩短）
+   */
+  updateDelays() {
+    const delays = calculateDelays(this.level);
+    this.spawnDelay = delays ? delays.spawn : 0; // 方块固定后到下一个方块出现的时间（毫秒）
+    this.lineSpawnDelay = delays ? delays.lineSpawn : 0; // 消行后到下一个方块出现的时间（毫秒）
+    this.lineClearDelay = delays ? delays.lineClear : null; // 消行动画的时长，null 表示使用默认动画
+    if (delays && this.options.lockDelay === undefined) {
+      this.lockDelay = delays.lock;
+    }
+  }
+
+  /**
+   * 大师模式的升级：每段的最后一级（x99）和最高等级的前一级只能通过消行越过
+   * @param {number} amount 升级数
+   * @param {boolean} [isLineClear=false] 是否由消行引起
+   */
+  advanceLevel(amount, isLineClear = false) {
+    const isSectionStop =
+      this.level % 100 === 99 || this.level === this.maxLevel - 1;
+    if (!isLineClear && isSectionStop) return;
+
+    this.level = Math.min(this.level + amount, this.maxLevel || Infinity);
+    this.updateSpeed();
+    this.updateDelays();
+  }
+
+  /**
+   * 根据当前等级更新下落间隔和速度倍数
+   */
+  updateSpeed() {
+    const { interval, multiplier, gravity } = calculateDropSpeed(this.level);
+    this.interval = interval;
+    this.speed = multiplier;
+    this.gravity = gravity; // 每帧下落的格数（G）
+
+    // 固定重力时按重力换算下落间隔（软降速度以此为基准）
+    const fixedGravity =
+      this.options.gravity !== undefined
+        ? this.options.gravity
+        : getModeSetting("gravity");
+    if (fixedGravity !== undefined) {
+      this.gravity = fixedGravity;
+      // 没有重力时保留按等级计算的间隔，软降仍然可以使用
+      if (fixedGravity > 0) {
+        this.interval = 1000 / GAME_CONFIG.GRAVITY.FPS / fixedGravity;
+      }
+    }
+  }
+
+  /**
+   * 下一个方块（队列中的第一个）
+   * @returns {Tetromino|null}
+   */
+  get nextPiece() {
+    return this.nextQueue[0] || null;
+  }
+
+  /**
+   * 从随机生成器补充方块，使队列保持最大预览数量
+   */
+  fillNextQueue() {
+    // 谜题的方块序列是固定的，用完为止
+    if (this.puzzle) return;
+    while (this.nextQueue.length < GAME_CONFIG.MAX_NEXT_PREVIEWS) {
+      this.nextQueue.push(new Tetromino(getRandomPiece(this.randomizer)));
+      this.piecesGenerated++;
+    }
+  }
+
+  /**
+   * 取出队列中的下一个方块并补充队列
+   * @returns {Tetromino} 下一个方块
+   */
+  takeNextPiece() {
+    const piece = this.nextQueue.shift();
+    this.fillNextQueue();
+    return piece;
+  }
+
+  /**
+   * 生成新的当前方块
+   * @returns {boolean} 是否生成成功（失败表示游戏结束）
+   */
+  spawnPiece() {
+    if (this.isGameOver) return false;
+
+    // 从队列中取出下一个方块作为当前方块
+    // 谜题的队列用完后使用暂存的方块，两者都没有时游戏结束
+    let piece = this.takeNextPiece();
+    if (!piece && this.heldPiece) {
+      piece = new Tetromino(this.heldPiece.type);
+      this.heldPiece = null;
+    }
+    if (!piece) {
+      this.endGame("outOfPieces");
+      return false;
+    }
+    if (!this.placeAtSpawn(piece)) return false;
+
+    // 大师模式每出现一个方块升一级（第一个方块除外）
+    if (this.levelPerPiece && this.piecesPlaced > 0) {
+      this.advanceLevel(1);
+    }
+
+    // 允许暂存（禁用暂存的模式除外）
+    this.canHold = this.holdRule !== "off";
+    return true;
+  }
+
+  /**
+   * 将方块放到出生位置作为当前方块（新方块和暂存交换出的方块共用）
+   * @param {Tetromino} piece 要放置的方块
+   * @returns {boolean} 是否放置成功（失败表示游戏结束）
+   */
+  placeAtSpawn(piece) {
+    this.currentPiece = piece;
+
+    // 计算初始位置：最下面一个有方块的行放在可见区域第一行，确保新方块部分可见
+    // （T、S、Z、J、L 的形状矩阵最后一行是空的，不能按矩阵高度计算）
+    const shape = piece.shape;
+    const x = Math.floor((this.cols - shape[0].length) / 2);
+    let lowestRow = shape.length - 1;
+    while (lowestRow > 0 && !shape[lowestRow].some((cell) => cell)) {
+      lowestRow--;
+    }
+    const y = this.bufferRows - lowestRow;
+
+    piece.x = x;
+    piece.y = y;
+    this.resetLockDelay();
+    this.lastMoveWasRotation = false;
+    this.softDropRows = 0;
+
+    // Block out：出生位置已被占据（没有 Top out 的模式清空上方的行后继续）
+    // 原来“出生后无法下落一格也算结束”的判断已由 Block out、Lock out 和
+    // Garbage top out 代替：方块可以在缓冲区里停留，只有固定时才判断 Lock out
+    if (!isValidMove(this.grid, shape, x, y)) {
+      if (this.noTopOut) {
+        this.clearUpperRows();
+        return true;
+      }
+      this.endGame("blockOut");
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 清空缓冲区和可见区域上方的行（没有 Top out 的模式代替游戏结束）
+   * @param {number} [count] 清空的可见行数，默认使用当前模式的 topOutClearRows（Big 模式按倍数缩小），没有配置时为可见高度的一半
+   */
+  clearUpperRows(
+    count = getModeSetting("topOutClearRows")
+      ? Math.ceil(getModeSetting("topOutClearRows") / this.scale)
+      : Math.ceil(this.rows / 2)
+  ) {
+    const end = Math.min(this.grid.length, this.bufferRows + count);
+    for (let y = 0; y < end; y++) {
+      this.grid[y] = new Array(this.cols).fill(null);
+      this.lockTimes[y] = new Array(this.cols).fill(null);
+    }
+    this.topOutClears++;
+  }
+
+  /**
+   * 移动当前方块（不会触发固定）
+   * @param {number} dx x方向移动距离
+   * @param {number} dy y方向移动距离
+   * @returns {boolean} 是否移动成功
+   */
+  move(dx, dy) {
+    if (this.isGameOver || !this.currentPiece) return false;
+
+    const newX = this.currentPiece.x + dx;
+    const newY = this.currentPiece.y + dy;
+
+    if (!isValidMove(this.grid, this.currentPiece.shape, newX, newY)) {
+      return false;
+    }
+
+    this.currentPiece.move(dx, dy);
+    this.lastMoveWasRotation = false;
+    this.onPieceMoved();
+    return true;
+  }
+
+  /**
+   * 旋转当前方块（SRS 墙踢）
+   * @param {number} [direction=1] 旋转方向：1 顺时针，-1 逆时针，2 旋转180度
+   * @returns {number} 使用的墙踢序号（0 表示无需墙踢），旋转失败返回 -1
+   */
+  rotate(direction = 1) {
+    if (this.isGameOver || !this.currentPiece) return -1;
+
+    const piece = this.currentPiece;
+    const newShape = piece.rotate(direction);
+    const newRotation = (((piece.rotation + direction) % 4) + 4) % 4;
+    const kick = piece.tryWallKick(this.grid, newShape, newRotation);
+    if (kick >= 0) {
+      piece.lastRotation = direction;
+      this.lastMoveWasRotation = true;
+      this.onPieceMoved();
+    }
+    return kick;
+  }
+
+  /**
+   * 按重力下落当前方块（不计软降得分）
+   * @param {number} rows 最多下落的格数
+   * @returns {number} 实际下落的格数，小于 rows 表示方块已触底
+   */
+  applyGravity(rows) {
+    if (this.isGameOver || !this.currentPiece) return 0;
+
+    let dropDistance = 0;
+    while (dropDistance < rows && this.move(0, 1)) {
+      dropDistance++;
+    }
+    return dropDistance;
+  }
+
+  /**
+   * 玩家主动软降（按计分规则获得软降得分）
+   * @param {number} [rows=1] 最多下落的格数
+   * @returns {number} 实际下落的格数
+   */
+  softDrop(rows = 1) {
+    if (this.isGameOver || !this.currentPiece) return 0;
+
+    let dropDistance = 0;
+    while (dropDistance < rows && this.move(0, 1)) {
+      dropDistance++;
+    }
+
+    this.softDropRows += dropDistance;
+    this.score += dropDistance * this.scoring.softDrop;
+    return dropDistance;
+  }
+
+  /**
+   * 将当前方块直接下落到最低位置（不会触发固定，按计分规则获得硬降得分）
+   * @returns {number} 下落的格数
+   */
+  hardDrop() {
+    if (this.isGameOver || !this.currentPiece) return 0;
+
+    let dropDistance = 0;
+    while (this.move(0, 1)) {
+      dropDistance++;
+    }
+
+    this.score += dropDistance * this.scoring.hardDrop;
+    return dropDistance;
+  }
+
+  /**
+   * 暂存当前方块
+   * 换出的方块和新方块一样从出生位置开始，位置被占用时游戏结束
+   * @returns {boolean} 是否执行了暂存
+   */
+  hold() {
+    if (
+      this.isGameOver ||
+      !this.currentPiece ||
+      this.holdRule === "off" ||
+      !this.canHold ||
+      (this.heldPiece === null && this.nextQueue.length === 0) // 谜题的最后一个方块
+    ) {
+      return false;
+    }
+
+    const heldType = this.currentPiece.type;
+    const nextPiece =
+      this.heldPiece === null
+        ? this.takeNextPiece() // 第一次暂存，从队列中取出下一个方块
+        : new Tetromino(this.heldPiece.type); // 交换当前方块和暂存方块
+
+    this.heldPiece = new Tetromino(heldType);
+    this.placeAtSpawn(nextPiece);
+
+    // 标准规则下禁用暂存直到下一个方块
+    this.canHold = this.holdRule === "unlimited";
+    return true;
+  }
+
+  /**
+   * 判断当前方块在当前位置固定时是否构成 T-Spin
+   * 使用三角规则：T 方块中心周围四个角至少三个被占据，且最后一次操作是旋转。
+   * 朝向一侧的两个角都被占据时为完整 T-Spin，否则为 Mini（90 度旋转使用第 5 个墙踢时也算完整 T-Spin）
+   * @returns {string|null} "full"、"mini"，不是 T-Spin 时返回 null
+   */
+  detectTSpin() {
+    const piece = this.currentPiece;
+    if (!piece || piece.type !== "T" || !this.lastMoveWasRotation) {
+      return null;
+    }
+
+    // 墙壁和地面视为已占据，游戏区域上方视为空
+    const isOccupied = (cellX, cellY) =>
+      cellX < 0 ||
+      cellX >= this.cols ||
+      cellY >= this.grid.length ||
+      (cellY >= 0 && this.grid[cellY][cellX] !== null);
+
+    // 3x3 包围盒的四个角：左上、右上、右下、左下
+    const { x, y } = piece;
+    const corners = [
+      [x, y],
+      [x + 2, y],
+      [x + 2, y + 2],
+      [x, y + 2],
+    ].map(([cellX, cellY]) => isOccupied(cellX, cellY));
+
+    if (corners.filter(Boolean).length < 3) {
+      return null;
+    }
+
+    // T 方块朝向一侧的两个角（0 朝上、R 朝右、2 朝下、L 朝左）
+    const [frontA, frontB] = [
+      [0, 1],
+      [1, 2],
+      [2, 3],
+      [3, 0],
+    ][piece.rotation];
+
+    // 第 5 个墙踢（TST/Fin 踢）只在 90 度旋转表中存在，180 度表中同一序号只是普通平移
+    const isTstKick =
+      piece.lastKick === 4 && Math.abs(piece.lastRotation) === 1;
+    if ((corners[frontA] && corners[frontB]) || isTstKick) {
+      return "full";
+    }
+    return "mini";
+  }
+
+  /**
+   * 将当前方块固定到网格中（不消除行）
+   * @param {number} [lockedAt] 固定的时间（毫秒），记录到 lockTimes，默认为 getTime() 的当前时间
+   * @returns {{piece: Object, fullRows: Array<number>, tSpin: string|null}|null} 固定的方块信息、已填满的行和 T-Spin 类型
+   */
+  lockPiece(lockedAt = this.getTime()) {
+    if (!this.currentPiece) return null;
+
+    // 必须在写入网格之前判定 T-Spin
+    this.lastTSpin = this.detectTSpin();
+
+    const { shape, x, y, type } = this.currentPiece;
+
+    // 将方块的每个部分添加到网格中（缓冲区中的格子同样保留）
+    let isAboveField = true;
+    shape.forEach((row, dy) => {
+      row.forEach((value, dx) => {
+        if (value) {
+          const gridY = y + dy;
+          const gridX = x + dx;
+          if (
+            gridY >= 0 &&
+            gridY < this.grid.length &&
+            gridX >= 0 &&
+            gridX < this.cols
+          ) {
+            this.grid[gridY][gridX] = type;
+            this.lockTimes[gridY][gridX] = lockedAt;
+          }
+          if (gridY >= this.bufferRows) {
+            isAboveField = false;
+          }
+        }
+      });
+    });
+
+    // 清除当前方块
+    this.currentPiece = null;
+    this.piecesPlaced++;
+
+    // Lock out：方块完全固定在可见区域之上
+    if (isAboveField) {
+      if (this.noTopOut) {
+        this.clearUpperRows();
+      } else {
+        this.endGame("lockOut");
+      }
+    }
+
+    return {
+      piece: { x, y, shape: deepClone(shape), type },
+      fullRows: this.getFullRows(),
+      tSpin: this.lastTSpin,
+    };
+  }
+
+  /**
+   * 生成垃圾行：每行只有一个缺口
+   * 缺口按 messiness 的概率换到另一列，否则与上一行对齐（0 为一条直井，1 为每行都换位）
+   * @param {number} count 行数
+   * @param {number} [messiness] 缺口换位的概率（0～1），默认使用本局的设置
+   * @returns {Array<Array<string|null>>} 垃圾行（从上到下）
+   */
+  createGarbageRows(count, messiness = this.messiness) {
+    const rows = [];
+    for (let i = 0; i < count; i++) {
+      if (this.garbageHole === null || this.garbageRandom() < messiness) {
+        // 换到不同的列（只有一列时保持不变）
+        const offset = 1 + Math.floor(this.garbageRandom() * (this.cols - 1));
+        this.garbageHole =
+          this.garbageHole === null
+            ? Math.floor(this.garbageRandom() * this.cols)
+            : (this.garbageHole + offset) % this.cols;
+      }
+
+      const row = new Array(this.cols).fill(GAME_CONFIG.GARBAGE_TYPE);
+      row[this.garbageHole] = null;
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * 从底部插入垃圾行，整个堆叠和当前方块一起上移
+   * 最上方的方块会被推出网格时 Top out
+   * @param {number} count 要插入的行数
+   * @returns {boolean} 是否插入成功（Top out 时返回 false）
+   */
+  addGarbageRows(count) {
+    if (this.checkGarbageTopOut(count)) return false;
+
+    const garbageRows = this.createGarbageRows(count);
+    const now = this.getTime();
+    this.grid = [...this.grid.slice(count), ...garbageRows];
+    this.lockTimes = [
+      ...this.lockTimes.slice(count),
+      ...garbageRows.map((row) =>
+        row.map((cell) => (cell !== null ? now : null))
+      ),
+    ];
+    this.garbageRisen += count;
+
+    // 当前方块随堆叠一起上移，保持与堆叠的相对位置
+    if (this.currentPiece) {
+      this.currentPiece.y -= count;
+      this.lowestY -= count;
+    }
+    return true;
+  }
+
+  /**
+   * 推进垃圾行升起的计时，每升起一行间隔按模式配置缩短
+   * @param {number} deltaTime 距离上次更新经过的时间（毫秒）
+   * @returns {number} 本次应该升起的行数
+   */
+  updateGarbageTimer(deltaTime) {
+    if (!this.garbageInterval || this.isGameOver) return 0;
+
+    this.garbageTimer += deltaTime;
+    let count = 0;
+    while (this.garbageTimer >= this.garbageInterval) {
+      this.garbageTimer -= this.garbageInterval;
+      this.garbageInterval = Math.max(
+        getModeSetting("minGarbageInterval") || 0,
+        this.garbageInterval * (getModeSetting("garbageAcceleration") || 1)
+      );
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * 统计网格中含有垃圾格子的行数
+   * @returns {number} 行数
+   */
+  countGarbageRows() {
+    return this.grid.filter((row) => row.includes(GAME_CONFIG.GARBAGE_TYPE))
+      .length;
+  }
+
+  /**
+   * 获取已填满的行
+   * @returns {Array<number>} 行索引数组（从上到下）
+   */
+  getFullRows() {
+    const fullRows = [];
+    for (let y = 0; y < this.grid.length; y++) {
+      if (this.grid[y] && this.grid[y].every((cell) => cell !== null)) {
+        fullRows.push(y);
+      }
+    }
+    return fullRows;
+  }
+
+  /**
+   * 消除指定的行并计算得分和等级
+   * 每次固定方块后都应调用（即使没有可消除的行），以便结算没有消行的 T-Spin 并中断连击
+   * @param {Array<number>} [fullRows] 要消除的行索引，默认为当前所有已填满的行
+   * @returns {{lines: number, score: number, tSpin: string|null, combo: number, backToBack: number, perfectClear: boolean}} 消除的行数、本次得分、T-Spin 类型、连击数、Back-to-Back 次数和是否全消
+   */
+  clearLines(fullRows = this.getFullRows()) {
+    const tSpin = this.lastTSpin;
+    this.lastTSpin = null;
+    const lines = fullRows.length;
+
+    if (lines > 0) {
+      // 从下往上复制未被消除的行
+      const newGrid = create2DArray(this.grid.length, this.cols, null);
+      const newLockTimes = create2DArray(this.grid.length, this.cols, null);
+      let targetRow = this.grid.length - 1;
+      for (let sourceRow = this.grid.length - 1; sourceRow >= 0; sourceRow--) {
+        if (fullRows.includes(sourceRow)) continue;
+        newGrid[targetRow] = [...this.grid[sourceRow]];
+        newLockTimes[targetRow] = [...this.lockTimes[sourceRow]];
+        targetRow--;
+      }
+      this.grid = newGrid;
+      this.lockTimes = newLockTimes;
+
+      // 四消和 T-Spin 消行为高难度消行，连续的高难度消行获得 Back-to-Back 奖励
+      // 普通消行会中断 Back-to-Back
+      if (lines === 4 || tSpin) {
+        this.backToBack++;
+      } else {
+        this.backToBack = -1;
+      }
+      this.combo++;
+    } else {
+      // 没有消行时连击中断，但不影响 Back-to-Back
+      this.combo = -1;
+    }
+
+    // 消行后场地完全清空时获得全消奖励
+    const perfectClear = lines > 0 && this.isGridEmpty();
+    if (perfectClear) {
+      this.perfectClears++;
+    }
+
+    // 按当前计分规则计算得分（没有消行的 T-Spin 同样得分）
+    const scoreToAdd = calculateClearScore(this.scoring, {
+      lines,
+      level: this.level,
+      tSpin,
+      combo: this.combo,
+      backToBack: this.backToBack,
+      perfectClear,
+      softDropRows: this.softDropRows,
+    });
+
+    // 更新总分和消除行数
+    this.score += scoreToAdd;
+    this.lines += lines;
+
+    // 挖掘模式统计剩余的垃圾行
+    if (this.garbageRows > 0) {
+      this.garbageRemaining = this.countGarbageRows();
+    }
+
+    // 大师模式每消除一行升一级（可以越过每段的最后一级）
+    if (this.levelPerPiece && lines > 0) {
+      this.advanceLevel(lines, true);
+    }
+
+    // 达到目标消行数或最高等级、完成目标等级、挖完垃圾行或完成谜题目标时
+    // 游戏结束（通关），等级停留在最后完成的一级
+    if (
+      (this.lineGoal && this.lines >= this.lineGoal) ||
+      this.passesLevelGoal(this.lines) ||
+      (this.maxLevel && this.level >= this.maxLevel) ||
+      (this.garbageRows > 0 && this.garbageRemaining === 0) ||
+      (this.puzzle && this.isPuzzleGoalMet({ lines, tSpin, perfectClear }))
+    ) {
+      this.isCleared = true;
+      this.isGameOver = true;
+    } else if (lines > 0 && !this.levelPerPiece) {
+      // 计算等级并更新下落速度
+      this.level = calculateLevel(
+        this.lines,
+        this.startLevel,
+        this.scoring.linesPerLevel
+      );
+      this.updateSpeed();
+    }
+
+    return {
+      lines,
+      score: scoreToAdd,
+      tSpin,
+      combo: this.combo,
+      backToBack: this.backToBack,
+      perfectClear,
+    };
+  }
+
+  /**
+   * 判断消除指定的行后是否会达到计时模式的目标（消行数、最高等级、目标等级或挖完垃圾行）
+   * 在消除动画开始前调用，以便在方块固定的时刻停表；谜题不计时，不在此判断
+   * @param {Array<number>} fullRows 要消除的行索引
+   * @returns {boolean} 是否会达到目标
+   */
+  willReachGoal(fullRows) {
+    const lines = fullRows.length;
+    if (lines === 0) return false;
+
+    return Boolean(
+      (this.lineGoal && this.lines + lines >= this.lineGoal) ||
+        this.passesLevelGoal(this.lines + lines) ||
+        (this.levelPerPiece &&
+          this.maxLevel &&
+          this.level + lines >= this.maxLevel) ||
+        (this.garbageRows > 0 &&
+          this.grid.every(
+            (row, y) =>
+              fullRows.includes(y) || !row.includes(GAME_CONFIG.GARBAGE_TYPE)
+          ))
+    );
+  }
+
+  /**
+   * 判断消除到指定的总行数时是否已完成目标等级（升到了目标等级的下一级）
+   * @param {number} lines 消除的总行数
+   * @returns {boolean} 是否完成目标等级
+   */
+  passesLevelGoal(lines) {
+    return Boolean(
+      this.levelGoal &&
+        calculateLevel(lines, this.startLevel, this.scoring.linesPerLevel) >
+          this.levelGoal
+    );
+  }
+
+  /**
+   * 判断本次消行后是否达成了谜题目标
+   * @param {{lines: number, tSpin: string|null, perfectClear: boolean}} result 本次消行的结果
+   * @returns {boolean} 是否达成目标
+   */
+  isPuzzleGoalMet({ lines, tSpin, perfectClear }) {
+    const goal = this.puzzle.goal || {};
+    switch (goal.type) {
+      case "lines": // 累计消除指定行数
+        return this.lines >= goal.count;
+      case "tSpin": // 一次 T-Spin 消除指定行数（如 T-Spin Double）
+        return tSpin === (goal.tSpin || "full") && lines === goal.lines;
+      case "perfectClear": // 全消
+        return perfectClear;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 从底部载入谜题的初始场地
+   * 每行是一个字符串，"." 或空格表示空格，方块字母保留颜色，其他字符视为垃圾块
+   * @param {string[]} rows 从上到下排列的行
+   */
+  loadPuzzleGrid(rows) {
+    rows.forEach((line, i) => {
+      const y = this.grid.length - rows.length + i;
+      if (y < 0) return;
+      this.grid[y] = Array.from({ length: this.cols }, (_, x) => {
+        const ch = line[x];
+        if (ch === undefined || ch === "." || ch === " ") return null;
+        return GAME_CONFIG.COLORS[ch] ? ch : GAME_CONFIG.GARBAGE_TYPE;
+      });
+    });
+  }
+
+  /**
+   * 判断场地是否完全清空
+   * @returns {boolean} 是否没有任何已固定的方块
+   */
+  isGridEmpty() {
+    return this.grid.every((row) => row.every((cell) => cell === null));
+  }
+
+  /**
+   * 检查从底部插入垃圾行是否会导致 Top out（缓冲区顶部的方块被推出网格）
+   * 会导致 Top out 时结束游戏
+   * @param {number} count 要插入的行数
+   * @returns {boolean} 是否 Top out
+   */
+  checkGarbageTopOut(count) {
+    const toppedOut = this.grid
+      .slice(0, count)
+      .some((row) => row.some((cell) => cell !== null));
+    if (toppedOut) {
+      this.endGame("garbage");
+    }
+    return toppedOut;
+  }
+
+  /**
+   * 导出可以保存的局面（网格、队列、暂存和得分），用于保存进度后继续游戏
+   * 当前方块放回队列最前面，继续时从出生位置重新开始
+   * @returns {Object} 可以 JSON 序列化的局面
+   */
+  serialize() {
+    const queue = this.currentPiece
+      ? [this.currentPiece, ...this.nextQueue]
+      : this.nextQueue;
+
+    return {
+      grid: this.grid.map((row) => [...row]),
+      queue: queue.map((piece) => piece.type),
+      held: this.heldPiece ? this.heldPiece.type : null,
+      score: this.score,
+      lines: this.lines,
+      level: this.level,
+      combo: this.combo,
+      backToBack: this.backToBack,
+      perfectClears: this.perfectClears,
+      piecesPlaced: this.piecesPlaced,
+      seed: this.seed,
+      randomizer: this.randomizer.type,
+      piecesGenerated: this.piecesGenerated,
+    };
+  }
+
+  /**
+   * 恢复 serialize() 导出的局面（面板尺寸需要与当前模式一致）
+   * @param {Object} state 保存的局面
+   * @returns {boolean} 是否恢复成功
+   */
+  restore(state) {
+    if (
+      !state ||
+      !Array.isArray(state.grid) ||
+      state.grid.length !== this.grid.length ||
+      state.grid[0].length !== this.cols
+    ) {
+      return false;
+    }
+
+    // 用相同的种子重建随机生成器并跳过已经取出的方块，之后的序列（如 7 包）与保存前一致
+    if (state.seed !== undefined) {
+      this.seed = state.seed;
+      this.randomizer = createRandomizer(state.randomizer, state.seed);
+      for (let i = 0; i < state.piecesGenerated; i++) {
+        this.randomizer.next();
+      }
+      this.piecesGenerated = state.piecesGenerated;
+    }
+
+    const now = this.getTime();
+    this.grid = state.grid.map((row) => [...row]);
+    this.lockTimes = this.grid.map((row) =>
+      row.map((cell) => (cell !== null ? now : null))
+    );
+    this.nextQueue = state.queue.map((type) => new Tetromino(type));
+    this.fillNextQueue();
+    this.heldPiece = state.held ? new Tetromino(state.held) : null;
+    this.currentPiece = null;
+
+    this.score = state.score;
+    this.lines = state.lines;
+    this.level = state.level;
+    this.combo = state.combo;
+    this.backToBack = state.backToBack;
+    this.perfectClears = state.perfectClears;
+    this.piecesPlaced = state.piecesPlaced;
+    this.updateSpeed();
+    return true;
+  }
+
+  /**
+   * 结束游戏并记录原因
+   * @param {string} reason 游戏结束的原因：blockOut、lockOut 或 garbage
+   */
+  endGame(reason) {
+    this.isGameOver = true;
+    this.topOut = reason;
+  }
+
+  /**
+   * 固定当前方块、立即消行并生成下一个方块（无动画的完整流程）
+   * @returns {{locked: boolean, lines: number, score: number, tSpin: string|null, gameOver: boolean}} 本次固定的结果
+   */
+  lockAndSpawn() {
+    const lockResult = this.lockPiece();
+    const clearResult = lockResult
+      ? this.clearLines(lockResult.fullRows)
+      : { lines: 0, score: 0, tSpin: null };
+    this.spawnPiece();
+
+    return {
+      locked: Boolean(lockResult),
+      lines: clearResult.lines,
+      score: clearResult.score,
+      tSpin: clearResult.tSpin,
+      gameOver: this.isGameOver,
+    };
+  }
+
+  /**
+   * 执行一次重力下落
+   * 没有当前方块时生成新方块；方块无法下落时立即固定并生成下一个方块（不计锁定延迟）
+   * @returns {{moved: boolean, locked: boolean, lines: number, score: number, gameOver: boolean}} 本次下落的结果
+   */
+  step() {
+    if (!this.isGameOver && !this.currentPiece) {
+      this.spawnPiece();
+    }
+
+    if (this.isGameOver) {
+      return { moved: false, locked: false, lines: 0, score: 0, gameOver: true };
+    }
+
+    if (this.move(0, 1)) {
+      return { moved: true, locked: false, lines: 0, score: 0, gameOver: false };
+    }
+
+    return { moved: false, ...this.lockAndSpawn() };
+  }
+
+  /**
+   * 应用一次玩家输入（无动画的完整流程，固定后立即生成下一个方块）
+   * @param {string} action 输入动作：left、right、softDrop、rotate、rotateCCW、rotate180、hardDrop、hold
+   * @returns {boolean} 输入是否生效
+   */
+  applyInput(action) {
+    if (this.isGameOver || !this.currentPiece) return false;
+
+    switch (action) {
+      case "left":
+        return this.move(-1, 0);
+      case "right":
+        return this.move(1, 0);
+      case "softDrop":
+        return this.softDrop() > 0;
+      case "rotate":
+        return this.rotate() >= 0;
+      case "rotateCCW":
+        return this.rotate(-1) >= 0;
+      case "rotate180":
+        return this.rotate(2) >= 0;
+      case "hardDrop":
+        this.hardDrop();
+        this.lockAndSpawn();
+        return true;
+      case "hold":
+        return this.hold();
+      default:
+        console.error(`未知输入动作: ${action}`);
+        return false;
+    }
+  }
+}
+
+// 导出 TetrisEngine 类
+if (typeof window !== "undefined") {
+  window.TetrisEngine = TetrisEngine;
+}
+
+// Node 环境导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { TetrisEngine };
+}
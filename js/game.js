@@ -20,6 +20,9 @@ class Game {
     // 初始化显示历史最高分
     this.board.updateHighScoreDisplay();
 
+    // 创建键盘输入处理器（DAS/ARR 自动移动）
+    this.inputHandler = new InputHandler(this);
+
     // 初始化按钮元素
     this.startBtn = null;
     this.pauseBtn = null;
@@ -45,12 +48,12 @@ class Game {
 
     // 游戏循环相关变量
     this.isRunning = false;
-    this.dropInterval = null;
+    this.animationFrameId = null; // 游戏主循环的 requestAnimationFrame 编号
     this.isPaused = false;
 
     // 初始化游戏状态
     this.lastDropTime = 0;
-    this.frameInterval = 1000 / 60; // 60 FPS
+    this.frameInterval = 1000 / GAME_CONFIG.GRAVITY.FPS; // 60 FPS
 
     // 隐藏游戏结束模态框
     const gameOverModal = document.getElementById("gameOverModal");
@@ -64,7 +67,8 @@ class Game {
     this.touchStartTime = 0;
     this.lastMoveTime = 0;
     this.isSwiping = false;
-    this.lastMoveDirection = null; // 记录最后一次移动的方向：'horizontal' 或 'vertical'
+    this.isMultiTouch = false; // 是否为双指触摸
+    this.lastMoveDirection = null; // 记录最后一次移动的方向：'horizontal'、'vertical' 或 'up'
 
     // 添加动画相关状态
     this.lastRenderTime = 0;
@@ -111,6 +115,8 @@ class Game {
 
     // 处理iOS设备上的特殊情况
     window.addEventListener("blur", () => {
+      // 失去焦点后收不到松开按键的事件，清除所有按住状态
+      this.inputHandler.releaseAll();
       this._handleVisibilityChange(true);
     });
 
@@ -212,6 +218,9 @@ class Game {
     // 初始化音乐和音效按钮
     this.initAudioControls();
 
+    // 初始化输入设置界面
+    this.initInputSettings();
+
     // 初始化全屏按钮
     this.initFullscreenControl();
 
@@ -354,6 +363,26 @@ class Game {
       }
     });
 
+    // 逆时针和180度旋转按钮（可选）
+    const rotateCcwBtn = document.getElementById("rotateCcwBtn");
+    const rotate180Btn = document.getElementById("rotate180Btn");
+
+    if (rotateCcwBtn) {
+      this.addMobileButtonEvent(rotateCcwBtn, () => {
+        if (this.board && !this.board.isGameOver && !this.board.isPaused) {
+          this.board.rotatePiece(-1);
+        }
+      });
+    }
+
+    if (rotate180Btn) {
+      this.addMobileButtonEvent(rotate180Btn, () => {
+        if (this.board && !this.board.isGameOver && !this.board.isPaused) {
+          this.board.rotatePiece(2);
+        }
+      });
+    }
+
     console.log("移动设备控制按钮初始化完成");
   }
 
@@ -390,16 +419,21 @@ class Game {
         if (!this.isRunning || this.board.isGameOver || this.board.isPaused)
           return;
 
+        // 第二根手指按下时记录为双指点击，不重置滑动起点
+        if (e.touches.length > 1) {
+          this.isMultiTouch = true;
+
+          // 防止触摸事件导致页面缩放
+          e.preventDefault();
+          return;
+        }
+
         const touch = e.touches[0];
         this.touchStartX = touch.clientX;
         this.touchStartY = touch.clientY;
         this.touchStartTime = Date.now();
         this.isSwiping = true;
-
-        // 防止触摸事件导致页面缩放
-        if (e.touches.length > 1) {
-          e.preventDefault();
-        }
+        this.isMultiTouch = false;
       },
       { passive: false }
     );
@@ -455,6 +489,19 @@ class Game {
           this.lastMoveDirection = "horizontal";
         }
 
+        // 向上滑动（旋转180度，每次滑动只触发一次）
+        if (
+          deltaY < -threshold * 2 &&
+          Math.abs(deltaY) > Math.abs(deltaX) &&
+          this.lastMoveDirection !== "up"
+        ) {
+          this.board
+            .rotatePiece(2)
+            .catch((error) => console.error("旋转方块出错:", error));
+          this.lastMoveDirection = "up";
+          return;
+        }
+
         // 垂直滑动（下移）
         if (deltaY > threshold) {
           this.board.movePiece(0, 1).catch((error) => {
@@ -476,6 +523,22 @@ class Game {
 
         const touchEndTime = Date.now();
         const touchDuration = touchEndTime - this.touchStartTime;
+
+        // 双指点击：等所有手指抬起后逆时针旋转
+        if (this.isMultiTouch) {
+          if (e.touches.length > 0) return;
+
+          if (touchDuration < 300) {
+            this.board
+              .rotatePiece(-1)
+              .catch((error) => console.error("旋转方块出错:", error));
+          }
+
+          this.isSwiping = false;
+          this.isMultiTouch = false;
+          this.lastMoveDirection = null;
+          return;
+        }
         const touch = e.changedTouches[0];
         const deltaX = touch.clientX - this.touchStartX;
         const deltaY = touch.clientY - this.touchStartY;
@@ -575,47 +638,6 @@ class Game {
     this.board.playSound("background");
   }
 
-  /**
-   * 清除下降定时器
-   */
-  clearDropInterval() {
-    // 清除之前的定时器
-    if (this.dropInterval) {
-      clearInterval(this.dropInterval);
-      this.dropInterval = null;
-    }
-  }
-
-  /**
-   * 重新计算下落时间
-   */
-  recalculateDropTime() {
-    this.clearDropInterval();
-
-    console.log(`恢复游戏，使用下落间隔: ${this.board.interval}ms`);
-
-    // 使用最新计算的下落间隔创建新的下落定时器
-    this.dropInterval = setInterval(() => {
-      // 如果游戏暂停或结束，不执行下落
-      if (
-        !this.isRunning ||
-        this.board.isPaused ||
-        this.board.isGameOver ||
-        !this.board.currentPiece ||
-        this.board._processingLineClear
-      ) {
-        return;
-      }
-
-      console.log("定时器触发方块下落");
-
-      // 尝试下落当前方块，传入isAutoMove=true表示这是自动下落
-      this.board
-        .movePiece(0, 1, true)
-        .catch((error) => console.error("下落方块时出错:", error));
-    }, this.board.interval);
-  }
-
   /**
    * 切换游戏暂停状态
    */
@@ -664,11 +686,6 @@ class Game {
       // 开始游戏循环
       this.startGameLoop();
 
-      // 启动游戏主循环
-      this.lastRenderTime = performance.now();
-      this.dropAccumulator = 0; // 重置下落累积器
-      requestAnimationFrame((time) => this.gameLoop(time));
-
       // 恢复计时器
       this.board.resumeTimer();
 
@@ -682,7 +699,10 @@ class Game {
   stopGameLoop() {
     console.log("停止游戏循环");
 
-    this.clearDropInterval();
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
   }
 
   /**
@@ -713,6 +733,9 @@ class Game {
       pauseOverlay.style.display = "none";
     }
 
+    // 重新开始时开始新的一局，不再继续禅模式保存的进度
+    delete GAME_CONFIG.MODE_SETTINGS.resume;
+
     // 重置游戏状态
     this.board.reset();
 
@@ -731,13 +754,36 @@ class Game {
 
     // 更新游戏状态
     if (!this.board.isPaused && !this.board.isGameOver) {
-      // 确保当前方块存在，且不在处理行消除过程中
-      if (!this.board.currentPiece && !this.board._processingLineClear) {
+      // 限制单帧时长，避免切换标签页后方块立即固定
+      const deltaTime = Math.max(
+        0,
+        Math.min(currentTime - this.lastRenderTime, 100)
+      );
+
+      // 推进出现延迟（大师模式），延迟结束时生成新方块
+      this.board.updateSpawnDelay(deltaTime);
+
+      // 确保当前方块存在，且不在处理行消除或出现延迟过程中
+      if (
+        !this.board.currentPiece &&
+        !this.board._processingLineClear &&
+        this.board._spawnDelayRemaining <= 0
+      ) {
         console.log("生成新方块");
         this.board.spawnNewPiece();
       }
 
-      // 注意：方块的自动下落由定时器处理，这里不再处理下落逻辑
+      // 处理按住按键的自动移动和软降
+      this.inputHandler.update(deltaTime);
+
+      // 按帧推进重力
+      this.updateGravity(deltaTime);
+
+      // 推进锁定延迟
+      this.board.updateLockDelay(deltaTime);
+
+      // 推进垃圾行升起的计时（生存模式）
+      this.board.updateGarbage(deltaTime);
 
       // 重绘游戏画面
       this.board.draw();
@@ -756,7 +802,41 @@ class Game {
     this.lastRenderTime = currentTime;
 
     // 继续游戏循环
-    requestAnimationFrame((time) => this.gameLoop(time));
+    this.animationFrameId = requestAnimationFrame((time) =>
+      this.gameLoop(time)
+    );
+  }
+
+  /**
+   * 按帧推进重力：每帧累积 gravity 格（G），累积满一格就下落一格
+   * 重力达到 20G 时方块在一帧内落到底部
+   * @param {number} deltaTime 距离上一帧经过的时间（毫秒）
+   */
+  updateGravity(deltaTime) {
+    if (!this.board.currentPiece || this.board._processingLineClear) {
+      this.dropAccumulator = 0;
+      return;
+    }
+
+    // 20G：方块直接落到底部
+    if (this.board.gravity >= GAME_CONFIG.GRAVITY.MAX) {
+      this.dropAccumulator = 0;
+      this.board.applyGravity(Infinity);
+      return;
+    }
+
+    this.dropAccumulator +=
+      (deltaTime / this.frameInterval) * this.board.gravity;
+
+    const rows = Math.floor(this.dropAccumulator);
+    if (rows === 0) return;
+
+    this.dropAccumulator -= rows;
+
+    // 触底后不再累积，离开地面时从零开始计算
+    if (this.board.applyGravity(rows) < rows) {
+      this.dropAccumulator = 0;
+    }
   }
 
   // 添加禁用双击缩放的方法
@@ -846,12 +926,15 @@ class Game {
   startGameLoop() {
     console.log("开始游戏循环");
 
-    this.recalculateDropTime();
+    // 确保同一时间只有一个主循环在运行
+    this.stopGameLoop();
 
     // 启动游戏主循环
     this.lastRenderTime = performance.now();
     this.dropAccumulator = 0; // 重置下落累积器
-    requestAnimationFrame((time) => this.gameLoop(time));
+    this.animationFrameId = requestAnimationFrame((time) =>
+      this.gameLoop(time)
+    );
 
     console.log("游戏循环已启动");
   }
@@ -868,27 +951,38 @@ class Game {
       if (!this.isRunning || this.board.isPaused || this.board.isGameOver)
         return;
 
+      // 移动由输入处理器按 DAS/ARR 驱动，忽略操作系统的按键重复
+      const heldAction = this.getHeldAction(e.key);
+      if (heldAction) {
+        if (!e.repeat) {
+          this.inputHandler.press(heldAction);
+        }
+        e.preventDefault();
+        return;
+      }
+
+      // 旋转、硬降等操作每次按键只触发一次
+      if (e.repeat) {
+        e.preventDefault();
+        return;
+      }
+
       switch (e.key) {
-        case "ArrowLeft":
-        case "a":
-        case "A":
-          this.board.movePiece(-1, 0);
-          break;
-        case "ArrowRight":
-        case "d":
-        case "D":
-          this.board.movePiece(1, 0);
-          break;
-        case "ArrowDown":
-        case "s":
-        case "S":
-          this.board.movePiece(0, 1);
-          break;
         case "ArrowUp":
         case "w":
         case "W":
+        case "x":
+        case "X":
           this.board.rotatePiece();
           break;
+        case "z":
+        case "Z":
+          this.board.rotatePiece(-1);
+          break;
+        case "q":
+        case "Q":
+          this.board.rotatePiece(2);
+          break;
         case " ": // 空格键
           this.board.hardDrop();
           break;
@@ -907,9 +1001,140 @@ class Game {
       e.preventDefault();
     });
 
+    // 松开按键时停止自动移动（游戏暂停时也需要处理，避免按键状态残留）
+    document.addEventListener("keyup", (e) => {
+      const heldAction = this.getHeldAction(e.key);
+      if (heldAction) {
+        this.inputHandler.release(heldAction);
+      }
+    });
+
     console.log("键盘事件初始化完成");
   }
 
+  /**
+   * 获取需要按住持续生效的按键对应的动作
+   * @param {string} key 按键名称
+   * @returns {string|null} 输入动作：left、right、softDrop，其他按键返回 null
+   */
+  getHeldAction(key) {
+    switch (key) {
+      case "ArrowLeft":
+      case "a":
+      case "A":
+        return "left";
+      case "ArrowRight":
+      case "d":
+      case "D":
+        return "right";
+      case "ArrowDown":
+      case "s":
+      case "S":
+        return "softDrop";
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 初始化设置界面（DAS、ARR、软降倍率、预览数量和堆叠可见性），修改后立即生效并保存
+   */
+  initInputSettings() {
+    const settingsBtn = document.getElementById("settingsBtn");
+    const settingsModal = document.getElementById("settingsModal");
+    if (!settingsBtn || !settingsModal) return;
+
+    // 设置项与对应的输入框
+    const fields = [
+      { key: "das", input: "dasInput", value: "dasValue" },
+      { key: "arr", input: "arrInput", value: "arrValue" },
+      { key: "softDropFactor", input: "sdfInput", value: "sdfValue" },
+    ];
+
+    const previewInput = document.getElementById("previewInput");
+    const previewValue = document.getElementById("previewValue");
+    const visibilityInput = document.getElementById("visibilityInput");
+    const bigModeInput = document.getElementById("bigModeInput");
+
+    // 根据当前设置刷新输入框和数值显示
+    const refresh = () => {
+      fields.forEach(({ key, input, value }) => {
+        const inputEl = document.getElementById(input);
+        const valueEl = document.getElementById(value);
+        if (inputEl) inputEl.value = this.inputHandler.settings[key];
+        if (valueEl) valueEl.textContent = this.inputHandler.settings[key];
+      });
+
+      if (previewInput) previewInput.value = this.board.previewCount;
+      if (previewValue) previewValue.textContent = this.board.previewCount;
+      if (visibilityInput) visibilityInput.value = this.board.visibility;
+      if (bigModeInput) bigModeInput.checked = this.board.bigMode;
+    };
+
+    fields.forEach(({ key, input }) => {
+      const inputEl = document.getElementById(input);
+      if (!inputEl) return;
+
+      inputEl.addEventListener("input", () => {
+        this.inputHandler.setSettings({ [key]: Number(inputEl.value) });
+        saveInputSettings(this.inputHandler.settings);
+        refresh();
+      });
+    });
+
+    // 预览数量由面板保存
+    if (previewInput) {
+      previewInput.addEventListener("input", () => {
+        this.board.setPreviewCount(Number(previewInput.value));
+        refresh();
+      });
+    }
+
+    // 已固定方块的可见性由面板保存
+    if (visibilityInput) {
+      visibilityInput.addEventListener("change", () => {
+        this.board.setVisibility(visibilityInput.value);
+        refresh();
+      });
+    }
+
+    // Big 模式由面板保存，下一局开始时生效
+    if (bigModeInput) {
+      bigModeInput.addEventListener("change", () => {
+        this.board.setBigMode(bigModeInput.checked);
+        refresh();
+      });
+    }
+
+    // 打开设置时暂停正在进行的游戏
+    settingsBtn.addEventListener("click", () => {
+      if (this.isRunning && !this.isPaused) {
+        this.togglePause();
+      }
+      refresh();
+      settingsModal.style.display = "block";
+    });
+
+    const resetBtn = document.getElementById("resetSettingsBtn");
+    if (resetBtn) {
+      resetBtn.addEventListener("click", () => {
+        this.inputHandler.setSettings(getDefaultInputSettings());
+        saveInputSettings(this.inputHandler.settings);
+        this.board.setPreviewCount(GAME_CONFIG.DEFAULT_NEXT_PREVIEWS);
+        this.board.setVisibility("normal");
+        this.board.setBigMode(false);
+        refresh();
+      });
+    }
+
+    const closeBtn = document.getElementById("closeSettingsBtn");
+    if (closeBtn) {
+      closeBtn.addEventListener("click", () => {
+        settingsModal.style.display = "none";
+      });
+    }
+  }
+
   /**
    * 游戏结束
    */
@@ -947,6 +1172,11 @@ class Game {
    */
   _handleVisibilityChange(isHidden) {
     if (isHidden) {
+      // 页面切换到后台或关闭前保存禅模式进度
+      if (this.isRunning) {
+        this.board.saveZenSession();
+      }
+
       // 页面切换到后台时暂停游戏和音乐
       if (this.isRunning && !this.board.isPaused) {
         console.log("页面切换到后台，暂停音乐");
@@ -1167,12 +1397,10 @@ window.addEventListener("load", () => {
   window.game = new Game();
 
   if (isMobile) {
-    // 移动端不需要 holdCanvas
-    window.game.holdCanvas = null;
     window.game.board = new Board(
       window.game.gameCanvas,
       window.game.nextCanvas,
-      null
+      window.game.holdCanvas
     );
 
     // 确保移动端控制区域可见
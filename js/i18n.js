@@ -32,17 +32,46 @@ class I18n {
         highScore: "High Score",
         score: "Score",
         level: "Level",
+        lines: "Lines",
+        combo: "Combo",
+        backToBack: "Back-to-Back",
         speed: "Speed",
 
         // 游戏元素
         nextBlock: "Next Block",
+        holdBlock: "Hold",
 
         // 控制说明
         controls: "Controls",
         moveLeft: "Move Left/Right",
         rotate: "Rotate",
+        rotateCCW: "Rotate Counter-clockwise",
+        rotate180: "Rotate 180°",
+
+        // 输入设置
+        inputSettings: "Settings",
+        dasLabel: "DAS (ms)",
+        dasHint: "Delay before a held key starts repeating",
+        arrLabel: "ARR (ms)",
+        arrHint: "Time between repeated moves (0 = instant to wall)",
+        sdfLabel: "Soft Drop Factor",
+        sdfHint: "Soft drop speed as a multiple of gravity",
+        previewLabel: "Next Previews",
+        previewHint: "Number of upcoming pieces shown",
+        visibilityLabel: "Stack Visibility",
+        visibilityNormal: "Normal",
+        visibilityFading: "Fading",
+        visibilityInvisible: "Invisible",
+        visibilityHint:
+          "Locked blocks fade out or vanish; the stack flashes on line clears",
+        bigModeLabel: "Big Mode",
+        bigModeHint:
+          "Pieces are twice as large on a half-size board; applies from the next game",
+        resetDefaults: "Reset Defaults",
+        doneBtn: "Done",
         moveDown: "Move Down",
         hardDrop: "Hard Drop",
+        holdPiece: "Hold Piece",
         pauseGame: "Pause Game",
 
         // 按钮
@@ -58,6 +87,7 @@ class I18n {
 
         standardMode: "Standard Mode",
         crazyMode: "Crazy Mode",
+        nesMode: "NES Classic",
         timedMode: "Timed Mode(3min)",
 
         defaultModeExplanation: "Please select a game mode to start the game",
@@ -65,13 +95,68 @@ class I18n {
           "Standard speed, suitable for beginners and casual players",
         crazyModeExplanation:
           "High speed falling, suitable for challenging difficult players",
+        nesModeExplanation:
+          "NES rules: no hold, NES gravity and 40/100/300/1200 scoring",
         timedModeExplanation:
           "Limited time mode (3 minutes), get the highest score within the limited time",
+        sprintMode: "Sprint",
+        sprintModeExplanation:
+          "Clear the target number of lines as fast as possible",
+        linesUnit: "Lines",
+        bestTime: "Best Time",
+        splits: "Splits",
+        marathonMode: "Marathon",
+        marathonModeExplanation:
+          "Guideline speed curve, clear level 15 to finish",
+        endlessMode: "Endless",
+        endlessModeExplanation:
+          "No finish line, the speed stops increasing after level 15",
+        digMode: "Dig",
+        digModeExplanation:
+          "Dig through the garbage rows at the bottom as fast as possible",
+        rowsUnit: "Rows",
+        cleanGarbage: "Clean",
+        messyGarbage: "Messy",
+        garbageLeft: "Garbage Left",
+        pieces: "Pieces",
+        piecesUnit: "pieces",
+        survivalMode: "Survival",
+        survivalModeExplanation:
+          "Garbage keeps rising from the bottom, faster and faster. Survive as long as you can",
+        garbageRisen: "Garbage Risen",
+        zenMode: "Zen",
+        zenModeExplanation:
+          "No game over: reaching the top clears the upper rows. Progress is saved automatically",
+        gravityOn: "Gravity On",
+        gravityOff: "Gravity Off",
+        gravityOffExplanation:
+          "Pieces stay where they are until you drop them",
+        continueSession: "Continue",
+        puzzleMode: "Puzzles",
+        puzzleModeExplanation:
+          "Solve hand-made puzzles with a fixed set of pieces",
+        puzzleGoal: "Goal",
+        piecesLeft: "Pieces Left",
+        puzzleGoalLines: "Clear {count} lines",
+        puzzleGoalTSpin: "Make a {clear}",
+        puzzleGoalPerfectClear: "Make a perfect clear",
+        loading: "Loading...",
+        puzzlePacksError: "Failed to load, tap to retry",
+        startLevel: "Starting Level",
+        startLevelExplanation:
+          "Level {level}: first level-up after {lines} lines",
+        masterMode: "Master",
+        masterModeExplanation:
+          "Reach level 999 under gravity that climbs to 20G. Earn a grade from 9 up to S9, or GM",
+        grade: "Grade",
+        nextGrade: "Next Grade",
+        section: "Section",
 
         // 游戏结束
         gameOver: "Game Over",
         yourScore: "Your Score",
         gameTime: "Game Time",
+        perfectClears: "Perfect Clears",
 
         // 积分规则
         scoringRules: "Scoring Rules",
@@ -80,6 +165,23 @@ class I18n {
         line2: "2 Lines: 30pts × Level",
         line3: "3 Lines: 50pts × Level",
         line4: "4 Lines: 60pts × Level",
+        line5: "T-Spin Single/Double/Triple: 80/120/160pts × Level",
+        line6: "Back-to-Back ×1.5, Combo: 5pts × Combo × Level",
+        nesLine1: "1 Line: 40pts × Level",
+        nesLine2: "2 Lines: 100pts × Level",
+        nesLine3: "3 Lines: 300pts × Level",
+        nesLine4: "4 Lines: 1200pts × Level",
+        nesDrops: "Soft Drop: 1pt per row",
+        guidelineLine1: "1 Line: 100pts × Level",
+        guidelineLine2: "2 Lines: 300pts × Level",
+        guidelineLine3: "3 Lines: 500pts × Level",
+        guidelineLine4: "4 Lines: 800pts × Level",
+        guidelineTSpin: "T-Spin Single/Double/Triple: 800/1200/1600pts × Level",
+        guidelineBonus: "Back-to-Back ×1.5, Combo: 50pts × Combo × Level",
+        guidelineDrops: "Soft Drop: 1pt per row, Hard Drop: 2pts per row",
+        tgmFormula: "Score: (⌈(Level + Lines) ÷ 4⌉ + Soft Drop rows) × Lines",
+        tgmCombo: "Consecutive clears: × (Combo + 1)",
+        tgmBravo: "Perfect Clear: × 4",
         gameDifficulty: "Game Difficulty",
         standardModeRule: "Standard Mode: Speed +10% per level",
         crazyModeRule: "Crazy Mode: Speed +15% per level",
@@ -107,17 +209,44 @@ class I18n {
         highScore: "最高分",
         score: "得分",
         level: "等级",
+        lines: "消除行数",
+        combo: "连击",
+        backToBack: "背靠背",
         speed: "速度",
 
         // 游戏元素
         nextBlock: "下一个方块",
+        holdBlock: "暂存方块",
 
         // 控制说明
         controls: "操作说明",
         moveLeft: "左/右移动",
         rotate: "旋转",
+        rotateCCW: "逆时针旋转",
+        rotate180: "旋转180°",
+
+        // 输入设置
+        inputSettings: "设置",
+        dasLabel: "DAS（毫秒）",
+        dasHint: "按住方向键后开始自动移动前的延迟",
+        arrLabel: "ARR（毫秒）",
+        arrHint: "自动移动每格的间隔（0 为直接移动到墙边）",
+        sdfLabel: "软降倍率",
+        sdfHint: "软降速度是重力速度的多少倍",
+        previewLabel: "预览数量",
+        previewHint: "显示即将出现的方块数量",
+        visibilityLabel: "堆叠可见性",
+        visibilityNormal: "正常",
+        visibilityFading: "渐隐",
+        visibilityInvisible: "隐形",
+        visibilityHint: "固定后的方块会逐渐消失或立即隐形，消行时整个堆叠闪现",
+        bigModeLabel: "大方块模式",
+        bigModeHint: "方块放大一倍，面板格数减半，下一局开始时生效",
+        resetDefaults: "恢复默认",
+        doneBtn: "完成",
         moveDown: "下移",
         hardDrop: "快速下落",
+        holdPiece: "暂存方块",
         pauseGame: "暂停游戏",
 
         // 按钮
@@ -133,17 +262,63 @@ class I18n {
 
         standardMode: "标准模式",
         crazyMode: "疯狂模式",
+        nesMode: "NES 经典模式",
         timedMode: "限时模式",
 
         defaultModeExplanation: "请选择游戏模式开始游戏",
         standardModeExplanation: "经典俄罗斯方块规则，速度逐渐增加",
         crazyModeExplanation: "更快的速度和随机特殊方块",
+        nesModeExplanation: "NES 规则：没有暂存，NES 下落速度和 40/100/300/1200 计分",
         timedModeExplanation: "与时间赛跑 - 3分钟内获得最高分",
+        sprintMode: "竞速模式",
+        sprintModeExplanation: "以最快的速度消除目标行数",
+        linesUnit: "行",
+        bestTime: "最好成绩",
+        splits: "分段计时",
+        marathonMode: "马拉松模式",
+        marathonModeExplanation: "按官方速度曲线加速，完成第15级即通关",
+        endlessMode: "无尽模式",
+        endlessModeExplanation: "没有终点，第15级之后速度不再提升",
+        digMode: "挖掘模式",
+        digModeExplanation: "以最快的速度挖开底部的所有垃圾行",
+        rowsUnit: "行",
+        cleanGarbage: "整齐",
+        messyGarbage: "杂乱",
+        garbageLeft: "剩余垃圾行",
+        pieces: "方块数",
+        piecesUnit: "块",
+        survivalMode: "生存模式",
+        survivalModeExplanation: "垃圾行不断从底部升起且越来越快，尽可能坚持更久",
+        garbageRisen: "已升起垃圾行",
+        zenMode: "禅模式",
+        zenModeExplanation: "不会游戏结束，堆到顶部时清空上方的行，进度自动保存",
+        gravityOn: "有重力",
+        gravityOff: "无重力",
+        gravityOffExplanation: "方块不会自动下落，直到你放下它",
+        continueSession: "继续",
+        puzzleMode: "谜题模式",
+        puzzleModeExplanation: "用给定的方块完成精心设计的谜题",
+        puzzleGoal: "目标",
+        piecesLeft: "剩余方块",
+        puzzleGoalLines: "消除 {count} 行",
+        puzzleGoalTSpin: "完成 {clear}",
+        puzzleGoalPerfectClear: "完成全消",
+        loading: "加载中...",
+        puzzlePacksError: "加载失败，点击重试",
+        startLevel: "起始等级",
+        startLevelExplanation: "从 {level} 级开始：消除 {lines} 行后第一次升级",
+        masterMode: "大师模式",
+        masterModeExplanation:
+          "在最高 20G 的重力下冲击 999 级，按成绩评定 9 级到 S9 的段位，甚至 GM",
+        grade: "段位",
+        nextGrade: "下一段位",
+        section: "区段",
 
         // 游戏结束
         gameOver: "游戏结束",
         yourScore: "你的得分",
         gameTime: "游戏时间",
+        perfectClears: "全消次数",
 
         // 积分规则
         scoringRules: "积分规则",
@@ -152,6 +327,23 @@ class I18n {
         line2: "2行：30分 × 当前等级",
         line3: "3行：50分 × 当前等级",
         line4: "4行：60分 × 当前等级",
+        line5: "T-Spin 单消/双消/三消：80/120/160分 × 当前等级",
+        line6: "Back-to-Back ×1.5，连击：5分 × 连击数 × 当前等级",
+        nesLine1: "1行：40分 × 当前等级",
+        nesLine2: "2行：100分 × 当前等级",
+        nesLine3: "3行：300分 × 当前等级",
+        nesLine4: "4行：1200分 × 当前等级",
+        nesDrops: "软降：每格1分",
+        guidelineLine1: "1行：100分 × 当前等级",
+        guidelineLine2: "2行：300分 × 当前等级",
+        guidelineLine3: "3行：500分 × 当前等级",
+        guidelineLine4: "4行：800分 × 当前等级",
+        guidelineTSpin: "T-Spin 单消/双消/三消：800/1200/1600分 × 当前等级",
+        guidelineBonus: "Back-to-Back ×1.5，连击：50分 × 连击数 × 当前等级",
+        guidelineDrops: "软降每格1分，硬降每格2分",
+        tgmFormula: "得分：(⌈(当前等级 + 消除行数) ÷ 4⌉ + 软降格数) × 消除行数",
+        tgmCombo: "连续消行：×（连击数 + 1）",
+        tgmBravo: "全消：× 4",
         gameDifficulty: "游戏难度",
         standardModeRule: "标准模式：速度每级+10%",
         crazyModeRule: "疯狂模式：速度每级+15%",
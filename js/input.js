@@ -0,0 +1,234 @@
+/**
+ * 键盘输入处理
+ * 自行记录按住的按键，按照 DAS（延迟自动移动）、ARR（自动重复间隔）和软降倍率驱动方块移动，
+ * 不再依赖操作系统的按键重复（各台机器的重复速度不同，而且通常太慢）。
+ */
+
+// 本地存储中保存输入设置的键名
+const INPUT_SETTINGS_KEY = "tetris_input_settings";
+
+/**
+ * 获取默认输入设置
+ * @returns {{das: number, arr: number, softDropFactor: number}} 默认设置
+ */
+function getDefaultInputSettings() {
+  return {
+    das: GAME_CONFIG.INPUT.DAS,
+    arr: GAME_CONFIG.INPUT.ARR,
+    softDropFactor: GAME_CONFIG.INPUT.SOFT_DROP_FACTOR,
+  };
+}
+
+/**
+ * 从本地存储读取输入设置，缺失或无效的值使用默认值
+ * @returns {{das: number, arr: number, softDropFactor: number}} 输入设置
+ */
+function loadInputSettings() {
+  const settings = getDefaultInputSettings();
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(INPUT_SETTINGS_KEY));
+    if (saved) {
+      Object.keys(settings).forEach((key) => {
+        if (Number.isFinite(saved[key]) && saved[key] >= 0) {
+          settings[key] = saved[key];
+        }
+      });
+    }
+  } catch (error) {
+    console.error("读取输入设置失败:", error);
+  }
+
+  return settings;
+}
+
+/**
+ * 保存输入设置到本地存储
+ * @param {{das: number, arr: number, softDropFactor: number}} settings 输入设置
+ */
+function saveInputSettings(settings) {
+  localStorage.setItem(INPUT_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+class InputHandler {
+  /**
+   * 创建输入处理器
+   * @param {Game} game 游戏实例（通过 game.board 操作当前面板）
+   * @param {Object} [settings] 输入设置，默认从本地存储读取
+   */
+  constructor(game, settings = loadInputSettings()) {
+    this.game = game;
+    this.settings = settings;
+
+    // 按住的水平方向按键，后按下的优先
+    this.heldDirections = [];
+    this.dasTimer = 0; // 当前方向已按住的时间
+    this.arrTimer = 0; // DAS 触发后累积的重复时间
+
+    // 软降状态
+    this.isSoftDropping = false;
+    this.softDropTimer = 0;
+  }
+
+  /**
+   * 更新输入设置
+   * @param {Object} settings 新的设置（可以只包含部分字段）
+   */
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  /**
+   * 按下按键
+   * @param {string} action 输入动作：left、right、softDrop
+   */
+  press(action) {
+    if (action === "softDrop") {
+      if (this.isSoftDropping) return;
+      this.isSoftDropping = true;
+      this.softDropTimer = 0;
+      this.game.board.movePiece(0, 1);
+      return;
+    }
+
+    const direction = action === "left" ? -1 : 1;
+    if (this.heldDirections[this.heldDirections.length - 1] === direction) {
+      return;
+    }
+
+    this.heldDirections = this.heldDirections.filter((d) => d !== direction);
+    this.heldDirections.push(direction);
+    this.startShift(direction);
+  }
+
+  /**
+   * 松开按键
+   * @param {string} action 输入动作：left、right、softDrop
+   */
+  release(action) {
+    if (action === "softDrop") {
+      this.isSoftDropping = false;
+      return;
+    }
+
+    const direction = action === "left" ? -1 : 1;
+    const wasActive = this.getDirection() === direction;
+    this.heldDirections = this.heldDirections.filter((d) => d !== direction);
+
+    // 松开当前方向后，如果另一个方向仍然按住，则切换过去并重新计算 DAS
+    if (wasActive && this.getDirection() !== 0) {
+      this.startShift(this.getDirection());
+    }
+  }
+
+  /**
+   * 松开所有按键（窗口失去焦点或游戏暂停时调用）
+   */
+  releaseAll() {
+    this.heldDirections = [];
+    this.isSoftDropping = false;
+  }
+
+  /**
+   * 获取当前生效的水平方向
+   * @returns {number} -1 向左，1 向右，0 没有按住
+   */
+  getDirection() {
+    return this.heldDirections.length > 0
+      ? this.heldDirections[this.heldDirections.length - 1]
+      : 0;
+  }
+
+  /**
+   * 开始向指定方向移动：立即移动一格并重新开始 DAS 计时
+   * @param {number} direction 移动方向
+   */
+  startShift(direction) {
+    this.dasTimer = 0;
+    this.arrTimer = 0;
+    this.game.board.movePiece(direction, 0);
+  }
+
+  /**
+   * 每帧更新，根据按住的时间自动移动方块
+   * @param {number} deltaTime 距离上一帧经过的时间（毫秒）
+   */
+  update(deltaTime) {
+    const board = this.game.board;
+    if (
+      !board ||
+      board.isGameOver ||
+      board.isPaused ||
+      !board.currentPiece ||
+      board._processingLineClear
+    ) {
+      return;
+    }
+
+    this.updateShift(deltaTime);
+    this.updateSoftDrop(deltaTime);
+  }
+
+  /**
+   * 更新水平自动移动
+   * @param {number} deltaTime 距离上一帧经过的时间（毫秒）
+   */
+  updateShift(deltaTime) {
+    const direction = this.getDirection();
+    if (direction === 0) return;
+
+    const { das, arr } = this.settings;
+
+    // DAS 尚未触发
+    if (this.dasTimer < das) {
+      this.dasTimer += deltaTime;
+      if (this.dasTimer < das) return;
+      this.arrTimer = this.dasTimer - das;
+    } else {
+      this.arrTimer += deltaTime;
+    }
+
+    // ARR 为 0 时直接移动到墙边
+    if (arr <= 0) {
+      this.game.board.shiftPiece(direction, 0);
+      return;
+    }
+
+    const steps = Math.floor(this.arrTimer / arr);
+    if (steps > 0) {
+      this.arrTimer -= steps * arr;
+      this.game.board.shiftPiece(direction, 0, steps);
+    }
+  }
+
+  /**
+   * 更新软降：按当前重力间隔除以软降倍率的速度下落
+   * @param {number} deltaTime 距离上一帧经过的时间（毫秒）
+   */
+  updateSoftDrop(deltaTime) {
+    if (!this.isSoftDropping) return;
+
+    const board = this.game.board;
+    const factor = Math.max(1, this.settings.softDropFactor);
+    const interval = board.interval / factor;
+
+    this.softDropTimer += deltaTime;
+    const rows = Math.floor(this.softDropTimer / interval);
+    if (rows === 0) return;
+
+    this.softDropTimer -= rows * interval;
+
+    // 已经触底时清空计时，避免离开地面后瞬间下落多格
+    if (board.softDrop(rows) < rows) {
+      this.softDropTimer = 0;
+    }
+  }
+}
+
+// 导出输入处理器
+if (typeof window !== "undefined") {
+  window.InputHandler = InputHandler;
+  window.loadInputSettings = loadInputSettings;
+  window.saveInputSettings = saveInputSettings;
+  window.getDefaultInputSettings = getDefaultInputSettings;
+}
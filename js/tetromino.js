@@ -17,6 +17,9 @@ class Tetromino {
     this.color = type; // 直接存储类型，而不是颜色值
     this.x = 0;
     this.y = 0;
+    this.rotation = 0; // 旋转状态：0、1(R)、2、3(L)
+    this.lastKick = -1; // 最近一次旋转使用的墙踢序号
+    this.lastRotation = 0; // 最近一次旋转的方向：1 顺时针，-1 逆时针，2 旋转180度
   }
 
   /**
@@ -31,24 +34,46 @@ class Tetromino {
 
   /**
    * 旋转方块
+   * @param {number} [direction=1] 旋转方向：1 顺时针，-1 逆时针，2 旋转180度
    * @returns {Array<Array>} 旋转后的形状矩阵
    */
-  rotate() {
-    // 创建新的形状数组
-    const rows = this.shape[0].length;
-    const cols = this.shape.length;
-    const newShape = Array(rows)
-      .fill()
-      .map(() => Array(cols).fill(0));
-
-    // 执行旋转
-    for (let y = 0; y < cols; y++) {
-      for (let x = 0; x < rows; x++) {
-        newShape[x][cols - 1 - y] = this.shape[y][x];
+  rotate(direction = 1) {
+    // 逆时针等价于顺时针旋转3次，180度等价于顺时针旋转2次
+    const turns = ((direction % 4) + 4) % 4;
+    let shape = deepClone(this.shape);
+
+    for (let i = 0; i < turns; i++) {
+      // 创建新的形状数组
+      const rows = shape[0].length;
+      const cols = shape.length;
+      const newShape = Array(rows)
+        .fill()
+        .map(() => Array(cols).fill(0));
+
+      // 执行一次顺时针旋转
+      for (let y = 0; y < cols; y++) {
+        for (let x = 0; x < rows; x++) {
+          newShape[x][cols - 1 - y] = shape[y][x];
+        }
       }
+
+      shape = newShape;
     }
 
-    return newShape;
+    return shape;
+  }
+
+  /**
+   * 获取按倍数放大后的形状矩阵（Big 模式下每个格子画成 scale × scale 个方块）
+   * @param {number} [scale=1] 放大倍数
+   * @returns {Array<Array>} 放大后的形状矩阵
+   */
+  getScaledShape(scale = 1) {
+    if (scale === 1) return deepClone(this.shape);
+    return this.shape.flatMap((row) => {
+      const scaledRow = row.flatMap((value) => Array(scale).fill(value));
+      return Array.from({ length: scale }, () => [...scaledRow]);
+    });
   }
 
   /**
@@ -74,19 +99,20 @@ class Tetromino {
    * 绘制方块
    * @param {CanvasRenderingContext2D} ctx 画布上下文
    * @param {boolean} isGhost 是否为模拟降落方块
+   * @param {number} [cellSize] 格子大小（像素），默认使用 getCellSize()
+   * @param {number} [scale=1] 放大倍数（Big 模式），每个格子画成 scale × scale 个 cellSize / scale 大小的方块
    */
-  draw(ctx, isGhost = false) {
-    const cellSize = getCellSize();
-
-    for (let y = 0; y < this.shape.length; y++) {
-      for (let x = 0; x < this.shape[y].length; x++) {
-        if (this.shape[y][x]) {
+  draw(ctx, isGhost = false, cellSize = getCellSize(), scale = 1) {
+    const shape = this.getScaledShape(scale);
+    for (let y = 0; y < shape.length; y++) {
+      for (let x = 0; x < shape[y].length; x++) {
+        if (shape[y][x]) {
           drawBlock(
             ctx,
-            this.x + x,
-            this.y + y,
+            this.x * scale + x,
+            this.y * scale + y,
             this.type,
-            cellSize,
+            cellSize / scale,
             null,
             isGhost
           );
@@ -98,19 +124,41 @@ class Tetromino {
   /**
    * 在预览区域绘制方块
    * @param {CanvasRenderingContext2D} ctx 预览区域画布上下文
+   * @param {Object} [area] 绘制区域 {x, y, width, height, size}（像素），默认清空并使用整个画布
    */
-  drawPreview(ctx) {
-    const size = getPreviewCellSize();
+  drawPreview(ctx, area) {
     const shape = this.shape;
 
-    // 清除画布
-    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    if (!area) {
+      // 清除画布
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      area = {
+        x: 0,
+        y: 0,
+        width: ctx.canvas.width,
+        height: ctx.canvas.height,
+        size: getPreviewCellSize(),
+      };
+    }
+    const size = area.size;
 
-    // 计算居中位置
-    const blockWidth = shape[0].length * size;
-    const blockHeight = shape.length * size;
-    const startX = (ctx.canvas.width - blockWidth) / 2 / size;
-    const startY = (ctx.canvas.height - blockHeight) / 2 / size;
+    // 按实际占用的格子计算居中位置（忽略形状矩阵中的空行和空列）
+    const filledRows = [];
+    const filledCols = [];
+    shape.forEach((row, y) => {
+      row.forEach((value, x) => {
+        if (value) {
+          filledRows.push(y);
+          filledCols.push(x);
+        }
+      });
+    });
+    const minRow = Math.min(...filledRows);
+    const minCol = Math.min(...filledCols);
+    const blockWidth = (Math.max(...filledCols) - minCol + 1) * size;
+    const blockHeight = (Math.max(...filledRows) - minRow + 1) * size;
+    const startX = (area.x + (area.width - blockWidth) / 2) / size - minCol;
+    const startY = (area.y + (area.height - blockHeight) / 2) / size - minRow;
 
     // 绘制方块
     for (let row = 0; row < shape.length; row++) {
@@ -133,6 +181,7 @@ class Tetromino {
     // 创建当前方块的副本
     const ghost = new Tetromino(this.type);
     ghost.shape = [...this.shape]; // 复制形状
+    ghost.rotation = this.rotation;
     ghost.x = this.x;
     ghost.y = this.y;
 
@@ -161,6 +210,7 @@ class Tetromino {
       clone.shape = deepClone(this.shape);
       clone.x = this.x;
       clone.y = this.y;
+      clone.rotation = this.rotation;
       return clone;
     } catch (error) {
       console.error("Error cloning piece:", error);
@@ -168,36 +218,61 @@ class Tetromino {
     }
   }
 
+  /**
+   * 获取旋转时需要依次尝试的墙踢偏移量（SRS）
+   * @param {number} from 起始旋转状态
+   * @param {number} to 目标旋转状态
+   * @returns {Array<{x: number, y: number}>} 偏移量数组（y 轴向下）
+   */
+  getKickOffsets(from, to) {
+    // O 方块旋转后形状不变，不进行墙踢
+    if (this.type === "O") {
+      return [{ x: 0, y: 0 }];
+    }
+
+    const table =
+      this.type === "I"
+        ? GAME_CONFIG.WALL_KICKS.I
+        : GAME_CONFIG.WALL_KICKS.JLSTZ;
+    const kicks = table[`${from}-${to}`] || [[0, 0]];
+
+    // SRS 标准表中 y 轴向上，画布坐标 y 轴向下
+    return kicks.map(([x, y]) => ({ x, y: -y }));
+  }
+
   /**
    * 尝试墙踢
    * @param {Array<Array>} board 游戏面板
    * @param {Array<Array>} newShape 新的形状
-   * @returns {boolean} 是否成功找到有效位置
+   * @param {number} [newRotation] 新的旋转状态，默认为顺时针旋转后的状态
+   * @returns {number} 成功时返回使用的墙踢序号（0 表示无需墙踢），失败返回 -1
    */
-  tryWallKick(board, newShape) {
-    // 定义可能的偏移量
-    const offsets = [
-      { x: 0, y: 0 }, // 原位置
-      { x: -1, y: 0 }, // 左移
-      { x: 1, y: 0 }, // 右移
-      { x: 0, y: -1 }, // 上移
-      { x: -2, y: 0 }, // 左移2格（用于I型方块）
-      { x: 2, y: 0 }, // 右移2格（用于I型方块）
-    ];
-
-    // 尝试每个偏移量
-    for (const offset of offsets) {
+  tryWallKick(board, newShape, newRotation = (this.rotation + 1) % 4) {
+    const offsets = this.getKickOffsets(this.rotation, newRotation);
+
+    // 依次尝试每个偏移量
+    for (let i = 0; i < offsets.length; i++) {
+      const offset = offsets[i];
       if (isValidMove(board, newShape, this.x + offset.x, this.y + offset.y)) {
         this.x += offset.x;
         this.y += offset.y;
         this.shape = newShape;
-        return true;
+        this.rotation = newRotation;
+        this.lastKick = i;
+        return i;
       }
     }
 
-    return false;
+    return -1;
   }
 }
 
 // 导出 Tetromino 类和工具函数
-window.Tetromino = Tetromino;
+if (typeof window !== "undefined") {
+  window.Tetromino = Tetromino;
+}
+
+// Node 环境导出
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { Tetromino };
+}
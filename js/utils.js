@@ -4,9 +4,42 @@
 
 // 游戏配置常量
 const GAME_CONFIG = {
-  COLS: 10, // 游戏面板列数
-  ROWS: 20, // 游戏面板行数
+  COLS: 10, // 默认游戏面板列数（模式没有指定 cols 时使用）
+  ROWS: 20, // 默认游戏面板行数（模式没有指定 rows 时使用）
+  BUFFER_ROWS: 20, // 可见区域上方隐藏缓冲区的行数，方块可以在缓冲区中移动和固定
   PREVIEW_SIZE: 4, // 预览区域大小
+  MAX_NEXT_PREVIEWS: 6, // 下一个方块队列的最大预览数量
+  DEFAULT_NEXT_PREVIEWS: 3, // 默认显示的预览数量（玩家可以在设置界面中修改）
+  // 锁定延迟配置：方块触底后等待一段时间再固定，期间仍可移动和旋转
+  LOCK_DELAY: {
+    DELAY: 500, // 锁定延迟（毫秒）
+    MAX_RESETS: 15, // 移动/旋转最多重置锁定计时的次数
+    // 重置方式："move" 每次成功移动或旋转都重置计时（受次数限制）
+    //          "step" 经典步进重置，只有方块下落到更低的行时才重置计时
+    RESET_MODE: "move",
+  },
+  // 重力配置：重力以 G（每帧下落的格数，按 60 帧/秒计算）表示，20G 表示方块瞬间落到底部
+  GRAVITY: {
+    FPS: 60, // 计算重力使用的帧率
+    MAX: 20, // 最大重力（G），等于可见区域的高度
+  },
+  // Big 模式：方块放大到 SCALE 倍，在缩小到 1/SCALE 的逻辑网格上运行（玩家可以在设置界面中开启）
+  BIG_MODE: {
+    SCALE: 2,
+  },
+  // 已固定方块的可见性挑战（玩家可以在设置界面中选择，适用于所有模式）
+  VISIBILITY: {
+    MODES: ["normal", "fading", "invisible"], // 正常、渐隐、隐形
+    FADE_DELAY: 3000, // 渐隐模式中方块固定后保持可见的时间（毫秒）
+    FADE_DURATION: 1000, // 渐隐过程持续的时间（毫秒）
+    FLASH_DURATION: 300, // 消行时整个堆叠闪现的时间（毫秒）
+  },
+  // 键盘输入默认设置（玩家可以在设置界面中修改）
+  INPUT: {
+    DAS: 167, // 延迟自动移动：按住方向键多久后开始自动移动（毫秒）
+    ARR: 33, // 自动重复间隔：自动移动每格的间隔（毫秒），0 表示直接移动到墙边
+    SOFT_DROP_FACTOR: 20, // 软降倍率：软降速度是当前重力速度的多少倍
+  },
   // 游戏模式配置
   GAME_MODES: {
     STANDARD: {
@@ -14,12 +47,43 @@ const GAME_CONFIG = {
       base_speed: 1000,
       min_speed: 300,
       speed_factor: 0.1,
+      randomizer: "BAG_14", // 方块随机生成策略
+      scoring: "CLASSIC", // 计分规则（SCORING_PRESETS 中的键）
+      hold: "standard", // 暂存规则：off 禁用，standard 每个方块一次，unlimited 不限次数
+      cols: 10, // 面板列数（可选，默认 GAME_CONFIG.COLS）
+      rows: 20, // 面板行数（可选，默认 GAME_CONFIG.ROWS）
+      maxStartLevel: 20, // 可以选择的最高起始等级（可选，不设置时从 1 级开始）
     },
     CRAZY: {
       name: "疯狂模式",
       base_speed: 350, // 疯狂模式下降速度更快
       min_speed: 70, // 最低速度也更快
       speed_factor: 0.15, // 速度增长更快
+      randomizer: "BAG_14",
+      scoring: "CLASSIC",
+      hold: "standard",
+      cols: 10,
+      rows: 20,
+      maxStartLevel: 20,
+    },
+    NES: {
+      name: "NES 经典模式",
+      base_speed: 800,
+      min_speed: 0,
+      speed_factor: 0,
+      randomizer: "NES",
+      scoring: "NES",
+      hold: "off",
+      cols: 10,
+      rows: 20,
+      maxStartLevel: 20,
+      // 重力曲线：[起始等级, 重力（1/256 G）]，按 NES 每格下落帧数换算（本游戏的 1 级对应 NES 的 0 级）
+      gravityCurve: [
+        [1, 256 / 48], [2, 256 / 43], [3, 256 / 38], [4, 256 / 33],
+        [5, 256 / 28], [6, 256 / 23], [7, 256 / 18], [8, 256 / 13],
+        [9, 256 / 8], [10, 256 / 6], [11, 256 / 5], [14, 256 / 4],
+        [17, 256 / 3], [20, 256 / 2], [30, 256],
+      ],
     },
     TIMED: {
       name: "限时模式",
@@ -27,9 +91,152 @@ const GAME_CONFIG = {
       min_speed: 300, // 最低速度适中
       speed_factor: 0.12, // 速度增长适中
       duration: 180, // 游戏时长（秒）：3分钟
+      randomizer: "BAG_14",
+      scoring: "CLASSIC",
+      hold: "standard",
+      cols: 10,
+      rows: 20,
+    },
+    SPRINT: {
+      name: "竞速模式",
+      base_speed: 1000, // 竞速模式使用固定的下落速度
+      min_speed: 1000,
+      speed_factor: 0,
+      randomizer: "BAG_7",
+      scoring: "GUIDELINE",
+      hold: "standard",
+      cols: 10,
+      rows: 20,
+      lineGoal: 40, // 目标消行数，达到后游戏结束
+      lineGoals: [20, 40, 100], // 玩家可以选择的目标消行数
+      splitLines: 10, // 每消除多少行记录一次分段时间
+    },
+    MARATHON: {
+      name: "马拉松模式",
+      base_speed: 1000,
+      min_speed: 0,
+      speed_factor: 0,
+      speedCurve: "GUIDELINE", // 按官方指南的速度曲线计算下落速度
+      maxSpeedLevel: 15, // 速度达到该等级后不再提升
+      randomizer: "BAG_7",
+      scoring: "GUIDELINE",
+      hold: "standard",
+      cols: 10,
+      rows: 20,
+      levelGoal: 15, // 完成第 15 级后通关（与起始等级无关）
+      endlessVariant: true, // 可以选择不通关的无尽模式
+      maxStartLevel: 15,
+    },
+    DIG: {
+      name: "挖掘模式",
+      base_speed: 1000,
+      min_speed: 1000,
+      speed_factor: 0,
+      randomizer: "BAG_7",
+      scoring: "GUIDELINE",
+      hold: "standard",
+      cols: 10,
+      rows: 20,
+      garbageRows: 10, // 开局垃圾行数，全部消除后通关
+      messiness: 0.3, // 垃圾行缺口换位的概率
+      digPresets: [
+        // 玩家可以选择的垃圾行数和混乱程度
+        { garbageRows: 10, messiness: 0.3 },
+        { garbageRows: 10, messiness: 1 },
+        { garbageRows: 18, messiness: 0.3 },
+        { garbageRows: 18, messiness: 1 },
+      ],
+    },
+    SURVIVAL: {
+      name: "生存模式",
+      base_speed: 1000,
+      min_speed: 300,
+      speed_factor: 0.1,
+      randomizer: "BAG_7",
+      scoring: "GUIDELINE",
+      hold: "standard",
+      cols: 10,
+      rows: 20,
+      garbageInterval: 8000, // 垃圾行升起的初始间隔（毫秒）
+      minGarbageInterval: 1500, // 升起间隔的下限（毫秒）
+      garbageAcceleration: 0.95, // 每升起一行，间隔乘以该系数
+      messiness: 0.5,
+    },
+    ZEN: {
+      name: "禅模式",
+      base_speed: 1000, // 固定的下落速度，不随等级加快
+      min_speed: 1000,
+      speed_factor: 0,
+      randomizer: "BAG_7",
+      scoring: "GUIDELINE",
+      hold: "standard",
+      cols: 10,
+      rows: 20,
+      noTopOut: true, // 堆到顶部时清空上方的行，不会游戏结束
+      topOutClearRows: 10, // 堆到顶部时清空的可见行数
+      saveSession: true, // 持续保存进度，下次可以继续
+    },
+    PUZZLE: {
+      name: "谜题模式",
+      base_speed: 1000, // 固定的下落速度，不随等级加快
+      min_speed: 1000,
+      speed_factor: 0,
+      randomizer: "BAG_7", // 谜题使用固定的方块序列，不会用到随机生成器
+      scoring: "GUIDELINE",
+      hold: "standard", // 每个谜题可以单独禁用暂存
+      cols: 10,
+      rows: 20,
+      packsUrl: "puzzles/packs.json", // 谜题包文件
+      allowBig: false, // 谜题按原尺寸设计，不使用 Big 模式
+    },
+    MASTER: {
+      name: "大师模式",
+      base_speed: 1000,
+      min_speed: 0,
+      speed_factor: 0,
+      randomizer: "TGM",
+      scoring: "TGM",
+      hold: "off",
+      cols: 10,
+      rows: 20,
+      lockResetMode: "step", // 只有方块下落到更低的行时才重置锁定计时
+      levelPerPiece: true, // 从 0 级开始，每出现一个方块和每消除一行升一级
+      maxLevel: 999, // 到达后通关
+      // 重力曲线：[起始等级, 重力（1/256 G）]，500 级起为 20G
+      gravityCurve: [
+        [0, 4], [30, 6], [35, 8], [40, 10], [50, 12], [60, 16], [70, 32],
+        [80, 48], [90, 64], [100, 80], [120, 96], [140, 112], [160, 128],
+        [170, 144], [200, 4], [220, 32], [230, 64], [233, 96], [236, 128],
+        [239, 160], [243, 192], [247, 224], [251, 256], [300, 512],
+        [330, 768], [360, 1024], [400, 1280], [420, 1024], [450, 768],
+        [500, 5120],
+      ],
+      // 延迟曲线（帧）：出现延迟、消行后的出现延迟、锁定延迟和消行延迟
+      delayCurve: [
+        { level: 0, spawn: 25, lineSpawn: 25, lock: 30, lineClear: 40 },
+        { level: 500, spawn: 25, lineSpawn: 25, lock: 30, lineClear: 25 },
+        { level: 600, spawn: 25, lineSpawn: 16, lock: 30, lineClear: 16 },
+        { level: 700, spawn: 16, lineSpawn: 12, lock: 30, lineClear: 12 },
+        { level: 800, spawn: 12, lineSpawn: 6, lock: 30, lineClear: 6 },
+        { level: 900, spawn: 12, lineSpawn: 6, lock: 17, lineClear: 6 },
+      ],
+      // 段位：[所需分数, 段位]，从 9 级到 S9
+      grades: [
+        [0, "9"], [400, "8"], [800, "7"], [1400, "6"], [2000, "5"],
+        [3500, "4"], [5500, "3"], [8000, "2"], [12000, "1"], [16000, "S1"],
+        [22000, "S2"], [30000, "S3"], [40000, "S4"], [52000, "S5"],
+        [66000, "S6"], [82000, "S7"], [100000, "S8"], [120000, "S9"],
+      ],
+      // 获得 GM 需要在各检查点同时达到的分数和用时（毫秒）
+      gmCheckpoints: [
+        { level: 300, score: 12000, time: 255000 },
+        { level: 500, score: 40000, time: 450000 },
+        { level: 999, score: 126000, time: 810000 },
+      ],
     },
   },
   CURRENT_MODE: "STANDARD", // 默认为标准模式
+  MODE_SETTINGS: {}, // 玩家为当前模式选择的选项（如竞速模式的目标消行数），切换模式时重置
   PIECES: ["I", "J", "L", "O", "S", "T", "Z"],
   COLORS: {
     // 方块颜色
@@ -40,7 +247,9 @@ const GAME_CONFIG = {
     S: { primary: "#8BFB97", secondary: "#7FE58A" }, // 自然绿色
     T: { primary: "#BB79D6", secondary: "#AE64CD" }, // 高贵紫色
     Z: { primary: "#FF8B8B", secondary: "#FF7F7F" }, // 活力红色
+    G: { primary: "#8E9AAF", secondary: "#7A8599" }, // 垃圾行灰色
   },
+  GARBAGE_TYPE: "G", // 网格中垃圾格子的类型（颜色见 COLORS.G）
   SHAPES: {
     // 方块形状定义
     I: [
@@ -85,60 +294,360 @@ const GAME_CONFIG = {
       [0, 0, 0],
     ],
   },
+  // SRS（超级旋转系统）墙踢数据
+  // 键为 "起始状态-目标状态"，状态 0/1/2/3 分别对应 0/R/2/L
+  // 偏移量 [x, y] 采用 SRS 标准表的写法（y 轴向上），使用时需要翻转 y
+  WALL_KICKS: {
+    // J、L、S、T、Z 方块
+    JLSTZ: {
+      "0-1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+      "1-0": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+      "1-2": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+      "2-1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+      "2-3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+      "3-2": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+      "3-0": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+      "0-3": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+      // 180 度旋转（参考 SRS+ 的墙踢数据）
+      "0-2": [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+      "2-0": [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+      "1-3": [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+      "3-1": [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]],
+    },
+    // I 方块
+    I: {
+      "0-1": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+      "1-0": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+      "1-2": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+      "2-1": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+      "2-3": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+      "3-2": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+      "3-0": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+      "0-3": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+      // 180 度旋转
+      "0-2": [[0, 0], [0, 1]],
+      "2-0": [[0, 0], [0, -1]],
+      "1-3": [[0, 0], [1, 0]],
+      "3-1": [[0, 0], [-1, 0]],
+    },
+  },
 };
 
-// 保存最近生成的方块历史
-let pieceHistory = [];
-const MAX_HISTORY_LENGTH = 3; // 记录最近3个方块
+/**
+ * 创建可设定种子的伪随机数生成器（mulberry32 算法）
+ * 相同的种子总是得到相同的随机序列，用于回放、每日挑战和公平对战
+ * @param {number} seed 随机种子（32位整数）
+ * @returns {Function} 每次调用返回 [0, 1) 之间的随机数
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-// 方块池，用于池化生成
-let piecePool = [];
+/**
+ * 生成一个新的随机种子
+ * @returns {number} 32位无符号整数种子
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
 
 /**
- * 获取随机方块类型，使用池化生成和智能生成相结合的方式
- * @param {Array<Array>} grid 当前游戏网格
+ * 从方块类型中等概率选择一个
+ * @param {Function} random 随机数函数
+ * @param {Array<string>} pieces 候选方块类型
  * @returns {string} 方块类型
  */
-function getRandomPiece(grid) {
-  // 如果方块池为空，重新填充
-  if (piecePool.length === 0) {
-    console.log("方块池已空，重新填充");
-    piecePool = [...GAME_CONFIG.PIECES, ...GAME_CONFIG.PIECES];
-    // 打乱方块池顺序
-    shuffleArray(piecePool);
+function pickPiece(random, pieces = GAME_CONFIG.PIECES) {
+  return pieces[Math.floor(random() * pieces.length)];
+}
+
+/**
+ * 创建方块包（bag）生成策略
+ * @param {number} copies 每个包中每种方块的数量
+ * @returns {Function} 随机生成策略
+ */
+function createBagRandomizer(copies) {
+  return (random) => {
+    // 方块池，用于池化生成
+    let piecePool = [];
+
+    return () => {
+      // 如果方块池为空，重新填充并打乱顺序
+      if (piecePool.length === 0) {
+        for (let i = 0; i < copies; i++) {
+          piecePool.push(...GAME_CONFIG.PIECES);
+        }
+        shuffleArray(piecePool, random);
+      }
+      return piecePool.pop();
+    };
+  };
+}
+
+/**
+ * 方块随机生成策略
+ * 每个策略接收一个随机数函数，返回一个每次调用生成下一个方块类型的函数
+ */
+const RANDOMIZERS = {
+  // 标准 7 包：每 7 个方块包含全部 7 种方块各一次
+  BAG_7: createBagRandomizer(1),
+
+  // 14 包：每 14 个方块包含全部 7 种方块各两次
+  BAG_14: createBagRandomizer(2),
+
+  // TGM 风格：记录最近 4 个方块，生成重复方块时最多重试 4 次
+  TGM: (random) => {
+    const history = ["Z", "Z", "Z", "Z"];
+    const maxRolls = 4;
+    let isFirst = true;
+
+    return () => {
+      let piece;
+      if (isFirst) {
+        // 第一个方块不会是 S、Z、O
+        piece = pickPiece(random, ["I", "J", "L", "T"]);
+        isFirst = false;
+      } else {
+        for (let roll = 0; roll < maxRolls; roll++) {
+          piece = pickPiece(random);
+          if (!history.includes(piece)) break;
+        }
+      }
+
+      history.shift();
+      history.push(piece);
+      return piece;
+    };
+  },
+
+  // NES 风格：从 8 个结果中选择，结果为“重掷”或与上一个方块相同时重掷一次
+  NES: (random) => {
+    let lastPiece = null;
+
+    return () => {
+      const pieces = GAME_CONFIG.PIECES;
+      let index = Math.floor(random() * (pieces.length + 1));
+      if (index === pieces.length || pieces[index] === lastPiece) {
+        index = Math.floor(random() * pieces.length);
+      }
+
+      lastPiece = pieces[index];
+      return lastPiece;
+    };
+  },
+
+  // 纯随机：每个方块独立等概率生成
+  RANDOM: (random) => () => pickPiece(random),
+};
+
+/**
+ * 创建方块随机生成器
+ * @param {string} type 生成策略名称（RANDOMIZERS 中的键）
+ * @param {number} seed 随机种子
+ * @returns {{type: string, seed: number, next: Function}} 随机生成器
+ */
+function createRandomizer(type = "BAG_14", seed = generateSeed()) {
+  if (!RANDOMIZERS[type]) {
+    console.error(`未知方块生成策略: ${type}`);
+    type = "BAG_14";
   }
 
-  // 默认使用池化生成
-  let selectedPiece = piecePool.pop();
-  // 使用池化生成
-  console.log("使用池化生成方块");
+  return {
+    type,
+    seed,
+    next: RANDOMIZERS[type](createSeededRandom(seed)),
+  };
+}
 
-  // 更新历史记录
-  pieceHistory.push(selectedPiece);
-  if (pieceHistory.length > MAX_HISTORY_LENGTH) {
-    pieceHistory.shift(); // 移除最旧的记录
+// 默认随机生成器（未指定生成器时使用）
+let defaultRandomizer = null;
+
+/**
+ * 获取随机方块类型
+ * @param {Object} [randomizer] 随机生成器，默认使用全局的 14 包生成器
+ * @returns {string} 方块类型
+ */
+function getRandomPiece(randomizer) {
+  if (!randomizer) {
+    if (!defaultRandomizer) {
+      defaultRandomizer = createRandomizer();
+    }
+    randomizer = defaultRandomizer;
   }
 
-  console.log(`生成方块: ${selectedPiece}, 剩余池大小: ${piecePool.length}`);
+  const selectedPiece = randomizer.next();
+  console.log(`生成方块: ${selectedPiece}, 生成策略: ${randomizer.type}`);
   return selectedPiece;
 }
 
+/**
+ * 计分规则预设
+ * lines 为同时消除 0~4 行的基础分，levelMultiplier 根据等级计算倍率；
+ * tSpin、perfectClear 为 null 表示该规则没有对应奖励；
+ * softDrop、hardDrop 为每下落一格的得分；rules 为积分规则面板显示的翻译键。
+ * 需要特殊公式的规则可以提供 calculate 函数代替表格计算。
+ */
+const SCORING_PRESETS = {
+  // 本游戏原有的计分表（T-Spin 等奖励按指南的比例换算，指南单消 100 分对应这里的 10 分）
+  CLASSIC: {
+    lines: [0, 10, 30, 50, 60],
+    levelMultiplier: (level) => level,
+    tSpin: {
+      full: [40, 80, 120, 160], // T-Spin、T-Spin 单消/双消/三消
+      mini: [10, 20, 40], // Mini T-Spin、Mini T-Spin 单消/双消
+    },
+    perfectClear: [0, 80, 120, 180, 200],
+    combo: 5, // 每级连击的得分（乘以连击数和等级倍率）
+    backToBack: 1.5, // 连续高难度消行（四消、T-Spin 消行）的得分倍率
+    softDrop: 0,
+    hardDrop: 0,
+    linesPerLevel: 10,
+    rules: ["line1", "line2", "line3", "line4", "line5", "line6"],
+  },
+
+  // NES：40/100/300/1200 ×（NES 等级 + 1），软降每格 1 分，没有 T-Spin 等奖励
+  // NES 等级从 0 开始，本游戏的 1 级对应 NES 的 0 级，所以倍率就是当前等级
+  NES: {
+    lines: [0, 40, 100, 300, 1200],
+    levelMultiplier: (level) => level,
+    tSpin: null,
+    perfectClear: null,
+    combo: 0,
+    backToBack: 1,
+    softDrop: 1,
+    hardDrop: 0,
+    linesPerLevel: 10,
+    rules: ["nesLine1", "nesLine2", "nesLine3", "nesLine4", "nesDrops"],
+  },
+
+  // 现代指南规则
+  GUIDELINE: {
+    lines: [0, 100, 300, 500, 800],
+    levelMultiplier: (level) => level,
+    tSpin: {
+      full: [400, 800, 1200, 1600],
+      mini: [100, 200, 400],
+    },
+    perfectClear: [0, 800, 1200, 1800, 2000],
+    combo: 50,
+    backToBack: 1.5,
+    softDrop: 1,
+    hardDrop: 2,
+    linesPerLevel: 10,
+    rules: [
+      "guidelineLine1",
+      "guidelineLine2",
+      "guidelineLine3",
+      "guidelineLine4",
+      "guidelineTSpin",
+      "guidelineBonus",
+      "guidelineDrops",
+    ],
+  },
+
+  // TGM 风格：(⌈(等级 + 行数) / 4⌉ + 本方块软降格数) × 行数 × (连击数 + 1)，全消时 ×4
+  TGM: {
+    calculate: ({ lines, level, combo, perfectClear, softDropRows }) => {
+      if (lines === 0) return 0;
+
+      const base = Math.ceil((level + lines) / 4) + softDropRows;
+      return base * lines * (combo + 1) * (perfectClear ? 4 : 1);
+    },
+    softDrop: 0,
+    hardDrop: 0,
+    linesPerLevel: 10,
+    rules: ["tgmFormula", "tgmCombo", "tgmBravo"],
+  },
+};
+
+/**
+ * 获取计分规则预设
+ * @param {string} type 计分规则名称（SCORING_PRESETS 中的键）
+ * @returns {Object} 计分规则，未知名称时返回 CLASSIC
+ */
+function getScoringPreset(type) {
+  if (!SCORING_PRESETS[type]) {
+    console.error(`未知计分规则: ${type}`);
+    return SCORING_PRESETS.CLASSIC;
+  }
+  return SCORING_PRESETS[type];
+}
+
+/**
+ * 按计分规则计算一次固定方块的得分
+ * @param {Object} preset 计分规则
+ * @param {Object} clear 消行信息
+ * @param {number} clear.lines 消除的行数
+ * @param {number} clear.level 消行前的等级
+ * @param {string|null} clear.tSpin T-Spin 类型："full"、"mini" 或 null
+ * @param {number} clear.combo 连击数（第一次消行为 0）
+ * @param {number} clear.backToBack 连续高难度消行次数（大于 0 时获得奖励）
+ * @param {boolean} clear.perfectClear 是否全消
+ * @param {number} clear.softDropRows 本方块软降的格数
+ * @returns {number} 得分
+ */
+function calculateClearScore(preset, clear) {
+  if (preset.calculate) {
+    return preset.calculate(clear);
+  }
+
+  const { lines, tSpin, combo, backToBack, perfectClear } = clear;
+  const multiplier = preset.levelMultiplier(clear.level);
+
+  // 基础分（T-Spin 使用 T-Spin 得分表，Mini 最多只能消除两行）
+  let score = preset.lines[lines] || 0;
+  if (tSpin && preset.tSpin) {
+    const tSpinScores = preset.tSpin[tSpin];
+    score = tSpinScores[Math.min(lines, tSpinScores.length - 1)];
+  }
+  score *= multiplier;
+
+  if (lines > 0) {
+    // Back-to-Back 奖励
+    if (backToBack > 0 && (lines === 4 || tSpin)) {
+      score = Math.floor(score * preset.backToBack);
+    }
+
+    // 连击奖励
+    if (combo > 0) {
+      score += preset.combo * combo * multiplier;
+    }
+  }
+
+  // 全消奖励
+  if (perfectClear && preset.perfectClear) {
+    score += preset.perfectClear[lines] * multiplier;
+  }
+
+  return score;
+}
+
 /**
  * 打乱数组顺序（Fisher-Yates洗牌算法）
  * @param {Array} array 要打乱的数组
+ * @param {Function} [random] 随机数函数，默认使用 Math.random
  */
-function shuffleArray(array) {
+function shuffleArray(array, random = Math.random) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
 }
 
 /**
  * 获取当前格子大小
+ * @param {number} [cols] 面板列数，默认 GAME_CONFIG.COLS
+ * @param {number} [rows] 面板行数，默认 GAME_CONFIG.ROWS
  * @returns {number} 格子大小（像素）
  */
-function getCellSize() {
+function getCellSize(cols = GAME_CONFIG.COLS, rows = GAME_CONFIG.ROWS) {
   if (document.body.clientWidth < 768) {
     let height = document.body.clientHeight;
     let width = document.body.clientWidth;
@@ -155,10 +664,7 @@ function getCellSize() {
     let clientHeight = height - height2 - 20;
     let clientWidth = width - width1 - width2 - 20;
 
-    let cellSize = Math.min(
-      clientHeight / GAME_CONFIG.ROWS,
-      clientWidth / GAME_CONFIG.COLS
-    );
+    let cellSize = Math.min(clientHeight / rows, clientWidth / cols);
 
     return Math.floor(cellSize);
   }
@@ -167,7 +673,14 @@ function getCellSize() {
   const blockSize = getComputedStyle(document.documentElement)
     .getPropertyValue("--block-size")
     .trim();
-  return parseInt(blockSize) || 30; // 如果获取失败则返回默认值 30
+  const size = parseInt(blockSize) || 30; // 如果获取失败则返回默认值 30
+
+  // 比默认面板更高或更宽的面板缩小方块，使面板高度和宽度都不超过默认面板
+  return Math.min(
+    size,
+    Math.floor((size * GAME_CONFIG.ROWS) / rows),
+    Math.floor((size * GAME_CONFIG.COLS) / cols)
+  );
 }
 
 /**
@@ -243,6 +756,10 @@ function isValidMove(board, piece, x, y) {
     return false;
   }
 
+  // 面板尺寸由网格本身决定，不同模式可以使用不同大小的面板
+  const rows = board.length;
+  const cols = board[0] ? board[0].length : GAME_CONFIG.COLS;
+
   const N = piece.length;
 
   // 检查piece是否是有效的二维数组
@@ -260,7 +777,7 @@ function isValidMove(board, piece, x, y) {
         const newY = y + i;
 
         // 检查是否超出边界
-        if (newX < 0 || newX >= GAME_CONFIG.COLS || newY >= GAME_CONFIG.ROWS) {
+        if (newX < 0 || newX >= cols || newY >= rows) {
           return false;
         }
 
@@ -585,13 +1102,42 @@ function drawBlock(
 /**
  * 计算当前等级的下落速度
  * @param {number} level 当前等级
- * @returns {{interval: number, multiplier: number}} 返回下落间隔和速度倍数
+ * @returns {{interval: number, multiplier: number, gravity: number}} 返回下落间隔、速度倍数和重力（G，每帧下落的格数）
  */
 function calculateDropSpeed(level) {
-  level = level - 1;
   // 获取当前游戏模式的配置
   const currentMode = GAME_CONFIG.GAME_MODES[GAME_CONFIG.CURRENT_MODE];
 
+  // 按重力曲线查表（大师模式和 NES 经典模式）
+  if (currentMode.gravityCurve) {
+    const [, units] = findCurveEntry(currentMode.gravityCurve, level, 0);
+    const gravity = Math.min(GAME_CONFIG.GRAVITY.MAX, units / 256);
+    const interval = 1000 / GAME_CONFIG.GRAVITY.FPS / gravity;
+
+    return {
+      interval,
+      multiplier: (currentMode.base_speed / interval).toFixed(1),
+      gravity,
+    };
+  }
+
+  level = level - 1;
+
+  // 官方指南速度曲线：每格下落时间 = (0.8 - (等级 - 1) * 0.007) ^ (等级 - 1) 秒
+  if (currentMode.speedCurve === "GUIDELINE") {
+    const curveLevel = Math.min(
+      level,
+      (currentMode.maxSpeedLevel || Infinity) - 1
+    );
+    const interval = 1000 * Math.pow(0.8 - curveLevel * 0.007, curveLevel);
+
+    return {
+      interval,
+      multiplier: (currentMode.base_speed / interval).toFixed(1),
+      gravity: intervalToGravity(interval),
+    };
+  }
+
   // 使用当前模式的速度参数
   let multiplier = Math.min(
     1 + level * currentMode.speed_factor,
@@ -608,30 +1154,120 @@ function calculateDropSpeed(level) {
   return {
     interval,
     multiplier,
+    gravity: intervalToGravity(interval),
+  };
+}
+
+/**
+ * 查找曲线中适用于指定等级的一项（起始等级不超过该等级的最后一项）
+ * @param {Array} curve 按起始等级升序排列的曲线
+ * @param {number} level 当前等级
+ * @param {string|number} levelKey 每一项中起始等级所在的键或下标
+ * @returns {*} 适用的一项
+ */
+function findCurveEntry(curve, level, levelKey) {
+  let entry = curve[0];
+  for (const item of curve) {
+    if (item[levelKey] > level) break;
+    entry = item;
+  }
+  return entry;
+}
+
+/**
+ * 计算当前等级的各项延迟（大师模式随等级缩短）
+ * @param {number} level 当前等级
+ * @returns {{spawn: number, lineSpawn: number, lock: number, lineClear: number}|null} 出现延迟、消行后的出现延迟、锁定延迟和消行延迟（毫秒），当前模式没有延迟曲线时返回 null
+ */
+function calculateDelays(level) {
+  const currentMode = GAME_CONFIG.GAME_MODES[GAME_CONFIG.CURRENT_MODE];
+  if (!currentMode.delayCurve) return null;
+
+  const entry = findCurveEntry(currentMode.delayCurve, level, "level");
+  const frameTime = 1000 / GAME_CONFIG.GRAVITY.FPS;
+  return {
+    spawn: entry.spawn * frameTime,
+    lineSpawn: entry.lineSpawn * frameTime,
+    lock: entry.lock * frameTime,
+    lineClear: entry.lineClear * frameTime,
   };
 }
 
+/**
+ * 计算从指定等级开始时第一次升级需要消除的行数
+ * 按 NES 的规则：需要消除起始等级 × 每级行数，但从高等级开始时最多只需要
+ * max(10, 起始等级 - 6) × 每级行数（例如从 20 级开始需要 140 行）
+ * @param {number} startLevel 起始等级（从 1 开始）
+ * @param {number} linesPerLevel 每级需要消除的行数
+ * @returns {number} 第一次升级需要消除的行数
+ */
+function getFirstLevelUpLines(startLevel, linesPerLevel) {
+  return Math.min(
+    startLevel * linesPerLevel,
+    Math.max(10 * linesPerLevel, (startLevel - 6) * linesPerLevel)
+  );
+}
+
+/**
+ * 根据消除的总行数计算等级
+ * 第一次升级后每消除 linesPerLevel 行升一级
+ * @param {number} lines 消除的总行数
+ * @param {number} startLevel 起始等级（从 1 开始）
+ * @param {number} linesPerLevel 每级需要消除的行数
+ * @returns {number} 当前等级
+ */
+function calculateLevel(lines, startLevel, linesPerLevel) {
+  const firstLevelUp = getFirstLevelUpLines(startLevel, linesPerLevel);
+  if (lines < firstLevelUp) return startLevel;
+  return startLevel + 1 + Math.floor((lines - firstLevelUp) / linesPerLevel);
+}
+
+/**
+ * 将下落间隔换算为重力
+ * @param {number} interval 每格下落间隔（毫秒）
+ * @returns {number} 重力（G，每帧下落的格数），不超过 GAME_CONFIG.GRAVITY.MAX
+ */
+function intervalToGravity(interval) {
+  const frameTime = 1000 / GAME_CONFIG.GRAVITY.FPS;
+  return Math.min(GAME_CONFIG.GRAVITY.MAX, frameTime / Math.max(interval, 0));
+}
+
 // 导出所有工具函数和配置
-window.GAME_CONFIG = GAME_CONFIG;
-window.create2DArray = create2DArray;
-window.deepClone = deepClone;
-window.rotateMatrix = rotateMatrix;
-window.isValidMove = isValidMove;
-window.formatNumber = formatNumber;
-window.drawBlock = drawBlock;
-window.getCellSize = getCellSize;
-window.getPreviewCellSize = getPreviewCellSize;
-window.calculateDropSpeed = calculateDropSpeed;
-window.getRandomPiece = getRandomPiece;
+if (typeof window !== "undefined") {
+  window.GAME_CONFIG = GAME_CONFIG;
+  window.create2DArray = create2DArray;
+  window.deepClone = deepClone;
+  window.rotateMatrix = rotateMatrix;
+  window.isValidMove = isValidMove;
+  window.formatNumber = formatNumber;
+  window.drawBlock = drawBlock;
+  window.getCellSize = getCellSize;
+  window.getPreviewCellSize = getPreviewCellSize;
+  window.calculateDropSpeed = calculateDropSpeed;
+  window.intervalToGravity = intervalToGravity;
+  window.calculateDelays = calculateDelays;
+  window.getFirstLevelUpLines = getFirstLevelUpLines;
+  window.calculateLevel = calculateLevel;
+  window.getRandomPiece = getRandomPiece;
+  window.createSeededRandom = createSeededRandom;
+  window.generateSeed = generateSeed;
+  window.createRandomizer = createRandomizer;
+  window.RANDOMIZERS = RANDOMIZERS;
+  window.SCORING_PRESETS = SCORING_PRESETS;
+  window.getScoringPreset = getScoringPreset;
+  window.calculateClearScore = calculateClearScore;
+}
 
 /**
  * 切换游戏模式
  * @param {string} mode 游戏模式("STANDARD" 或 "CRAZY")
+ * @param {Object} [settings] 玩家选择的模式选项，覆盖模式配置中的同名字段
  * @returns {Object} 返回当前模式的配置
  */
-function setGameMode(mode) {
+function setGameMode(mode, settings = {}) {
   if (GAME_CONFIG.GAME_MODES[mode]) {
     GAME_CONFIG.CURRENT_MODE = mode;
+    GAME_CONFIG.MODE_SETTINGS = { ...settings };
     console.log(`游戏模式已切换为: ${GAME_CONFIG.GAME_MODES[mode].name}`);
     return GAME_CONFIG.GAME_MODES[mode];
   } else {
@@ -640,6 +1276,32 @@ function setGameMode(mode) {
   }
 }
 
+/**
+ * 获取当前模式的配置项，玩家选择的模式选项优先
+ * @param {string} key 配置项名称
+ * @returns {*} 配置项的值，不存在时返回 undefined
+ */
+function getModeSetting(key) {
+  if (key in GAME_CONFIG.MODE_SETTINGS) {
+    return GAME_CONFIG.MODE_SETTINGS[key];
+  }
+  const modeConfig = GAME_CONFIG.GAME_MODES[GAME_CONFIG.CURRENT_MODE] || {};
+  return modeConfig[key];
+}
+
+/**
+ * 获取游戏模式的面板尺寸
+ * @param {string} [mode] 游戏模式，默认为当前模式
+ * @returns {{cols: number, rows: number}} 面板列数和行数
+ */
+function getBoardSize(mode = GAME_CONFIG.CURRENT_MODE) {
+  const modeConfig = GAME_CONFIG.GAME_MODES[mode] || {};
+  return {
+    cols: modeConfig.cols || GAME_CONFIG.COLS,
+    rows: modeConfig.rows || GAME_CONFIG.ROWS,
+  };
+}
+
 /**
  * 获取当前游戏模式
  * @returns {string} 当前游戏模式的名称
@@ -649,5 +1311,38 @@ function getCurrentGameMode() {
 }
 
 // 导出游戏模式相关函数
-window.setGameMode = setGameMode;
-window.getCurrentGameMode = getCurrentGameMode;
+if (typeof window !== "undefined") {
+  window.setGameMode = setGameMode;
+  window.getCurrentGameMode = getCurrentGameMode;
+  window.getBoardSize = getBoardSize;
+  window.getModeSetting = getModeSetting;
+}
+
+// Node 环境导出（供无 DOM 的规则引擎使用）
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    GAME_CONFIG,
+    create2DArray,
+    deepClone,
+    rotateMatrix,
+    isValidMove,
+    formatNumber,
+    calculateDropSpeed,
+    intervalToGravity,
+    calculateDelays,
+    getFirstLevelUpLines,
+    calculateLevel,
+    getRandomPiece,
+    createSeededRandom,
+    generateSeed,
+    createRandomizer,
+    RANDOMIZERS,
+    SCORING_PRESETS,
+    getScoringPreset,
+    calculateClearScore,
+    setGameMode,
+    getCurrentGameMode,
+    getBoardSize,
+    getModeSetting,
+  };
+}